@@ -0,0 +1,39 @@
+// compares the throughput of the current encryption with the previous one kept
+// in the test fixtures, for data split like typical socket reads
+//
+// usage: node bench/encryption.js [megabytes]
+
+const Session = require('../lib/connection/encryption');
+const OldSession = require('../test/fixtures/encryption');
+
+const TOTAL = (Number(process.argv[2]) || 64) * 1024 * 1024;
+const CHUNK_SIZES = [7, 64, 1460, 16384];
+
+function createSession(Type) {
+  const session = new Type();
+  const keys = session.clientKeys.concat(session.serverKeys);
+  keys.forEach((key, k) => {
+    for (let i = 0; i < key.length; i++) key[i] = (i * 37 + k * 101 + 13) & 0xFF;
+  });
+  session.init();
+  return session;
+}
+
+// returns the throughput in MB/s of encrypting `TOTAL` bytes `size` at a time
+function run(Type, size) {
+  const session = createSession(Type);
+  const data = Buffer.alloc(size);
+  const count = Math.ceil(TOTAL / size);
+
+  const start = process.hrtime();
+  for (let i = 0; i < count; i++) session.encrypt(data);
+  const [seconds, nanoseconds] = process.hrtime(start);
+
+  return (count * size) / (1024 * 1024) / (seconds + nanoseconds / 1e9);
+}
+
+for (const size of CHUNK_SIZES) {
+  const before = run(OldSession, size);
+  const after = run(Session, size);
+  console.log(`${size} bytes: ${before.toFixed(1)} MB/s before, ${after.toFixed(1)} MB/s now (${(after / before).toFixed(2)}x)`);
+}
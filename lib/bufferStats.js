@@ -0,0 +1,26 @@
+// tracks how much data is waiting to be written to a socket
+class BufferStats {
+  constructor() {
+    this.buffered = 0;  // bytes waiting as of the last write
+    this.peak = 0;      // most bytes ever waiting
+    this.congested = false; // whether the socket is waiting to drain
+  }
+
+  update(socket, flushed) {
+    this.buffered = socket.bufferSize || 0;
+    if (this.buffered > this.peak) this.peak = this.buffered;
+    if (!flushed) this.congested = true;
+  }
+
+  drain() {
+    this.buffered = 0;
+    this.congested = false;
+  }
+
+  toJSON() {
+    const { buffered, peak, congested } = this;
+    return { buffered, peak, congested };
+  }
+}
+
+module.exports = BufferStats;
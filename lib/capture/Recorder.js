@@ -0,0 +1,77 @@
+const events = require('events');
+const fs = require('fs');
+const format = require('./format');
+
+// emits `error` when the stream fails, after which nothing more is recorded
+class Recorder extends events.EventEmitter {
+  constructor(target) {
+    super();
+
+    if (typeof target === 'string') {
+      this.stream = fs.createWriteStream(target);
+      this.ownStream = true;
+    } else {
+      this.stream = target;
+      this.ownStream = false;
+    }
+
+    this.stream.on('error', (err) => {
+      this.stream = null;
+      this.emit('error', err);
+    });
+
+    // records reserved but not written yet, so that they are written in the
+    // order messages arrived rather than the order their hooks finished
+    this.slots = [];
+
+    this.stream.write(format.header());
+  }
+
+  record(data, result, fromServer, fake, time) {
+    this.reserve(data, fromServer, fake, time)(result);
+  }
+
+  // takes the next place in the capture for a message whose hooks are still
+  // running, returning a function to call with their result
+  reserve(data, fromServer, fake, time = Date.now()) {
+    // hooks may change the data in place
+    const original = Buffer.from(data);
+    const slot = { record: null };
+    this.slots.push(slot);
+
+    return (result) => {
+      const silenced = (result === false);
+      slot.record = format.encode({
+        time,
+        code: original.readUInt16LE(2),
+        data: original,
+        fromServer,
+        fake,
+        silenced,
+        modified: !silenced && !original.equals(result),
+      });
+
+      while (this.slots.length > 0 && this.slots[0].record) {
+        const { record } = this.slots.shift();
+        if (this.stream) this.stream.write(record);
+      }
+    };
+  }
+
+  close(cb) {
+    const { stream } = this;
+    if (!stream) {
+      if (cb) process.nextTick(cb);
+      return;
+    }
+
+    this.stream = null;
+    if (this.ownStream) {
+      stream.end(cb);
+    } else if (cb) {
+      process.nextTick(cb);
+    }
+  }
+}
+
+module.exports = Recorder;
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const format = require('./format');
+const Dispatch = require('../connection/dispatch');
+
+function getRecords(capture) {
+  if (typeof capture === 'string') capture = fs.readFileSync(capture);
+  if (Buffer.isBuffer(capture)) capture = format.decode(capture);
+  return Array.isArray(capture) ? capture : capture.records;
+}
+
+// stands in for a `Connection`, collecting everything `Dispatch` would have sent
+class Replayer {
+  constructor(opt = {}) {
+    this.dispatch = new Dispatch(this, {
+      logger: opt.logger,
+      settingsDir: opt.settingsDir,
+      breaker: opt.breaker,
+      strict: opt.strict,
+    });
+    this.toClient = [];
+    this.toServer = [];
+  }
+
+  sendClient(data) {
+    this.toClient.push(data);
+  }
+
+  sendServer(data) {
+    this.toServer.push(data);
+  }
+
+  replayRecord(record) {
+    if (!this.dispatch) return;
+
+    // copy so that hooks modifying data in place cannot change the capture
+    this.dispatch.forward(Buffer.from(record.data), record.fromServer);
+  }
+
+  replay(capture, opt = {}) {
+    // injected messages were created by modules at the time of recording, and
+    // will be injected again by the modules loaded now if they still do so
+    const records = getRecords(capture).filter(record => !record.fake);
+
+    if (!opt.realtime) {
+      for (const record of records) {
+        this.replayRecord(record);
+      }
+      return this.settled();
+    }
+
+    const speed = opt.speed || 1;
+    return new Promise((resolve) => {
+      let index = 0;
+      const next = () => {
+        if (!this.dispatch) return resolve();
+
+        const record = records[index++];
+        this.replayRecord(record);
+
+        if (index === records.length) return resolve();
+        const delay = (records[index].time - record.time) / speed;
+        setTimeout(next, Math.max(delay, 0));
+      };
+
+      if (records.length === 0) return resolve();
+      next();
+    }).then(() => this.settled());
+  }
+
+  // resolves with the `Replayer` once no messages are waiting on asynchronous hooks
+  settled() {
+    if (!this.dispatch) return Promise.resolve(this);
+    return this.dispatch.settled().then(() => this);
+  }
+
+  close() {
+    if (this.dispatch) {
+      this.dispatch.emitEvent('close', 'explicit', null);
+      this.dispatch.reset();
+      this.dispatch = null;
+    }
+  }
+}
+
+module.exports = Replayer;
@@ -0,0 +1,95 @@
+// capture file layout (all integers little-endian):
+//
+// header:
+//   char[4] magic ("TPGC")
+//   uint16  version
+//   uint16  reserved
+//
+// followed by any number of records:
+//   double  time (milliseconds since epoch)
+//   byte    flags (see FLAGS)
+//   byte    reserved
+//   uint16  opcode
+//   uint32  length
+//   byte[]  data (the full framed message, including length and opcode)
+
+const MAGIC = 'TPGC';
+const VERSION = 1;
+
+const HEADER_SIZE = 8;
+const RECORD_HEADER_SIZE = 16;
+
+const FLAGS = {
+  fromServer: 1 << 0,
+  fake: 1 << 1,
+  modified: 1 << 2,
+  silenced: 1 << 3,
+};
+
+function header() {
+  const buf = Buffer.alloc(HEADER_SIZE);
+  buf.write(MAGIC, 0, 4, 'ascii');
+  buf.writeUInt16LE(VERSION, 4);
+  return buf;
+}
+
+function encode(record) {
+  const { data } = record;
+  const buf = Buffer.allocUnsafe(RECORD_HEADER_SIZE + data.length);
+
+  let flags = 0;
+  for (const key of Object.keys(FLAGS)) {
+    if (record[key]) flags |= FLAGS[key];
+  }
+
+  buf.writeDoubleLE(record.time, 0);
+  buf[8] = flags;
+  buf[9] = 0;
+  buf.writeUInt16LE(record.code, 10);
+  buf.writeUInt32LE(data.length, 12);
+  data.copy(buf, RECORD_HEADER_SIZE);
+  return buf;
+}
+
+function decode(buf) {
+  if (buf.length < HEADER_SIZE || buf.toString('ascii', 0, 4) !== MAGIC) {
+    throw new Error('not a capture file');
+  }
+
+  const version = buf.readUInt16LE(4);
+  if (version !== VERSION) {
+    throw new Error(`unsupported capture version ${version}`);
+  }
+
+  const records = [];
+  let position = HEADER_SIZE;
+  while (position < buf.length) {
+    if (position + RECORD_HEADER_SIZE > buf.length) {
+      throw new Error(`truncated record header at offset ${position}`);
+    }
+
+    const length = buf.readUInt32LE(position + 12);
+    const start = position + RECORD_HEADER_SIZE;
+    if (start + length > buf.length) {
+      throw new Error(`truncated record data at offset ${position}`);
+    }
+
+    const flags = buf[position + 8];
+    const record = {
+      time: buf.readDoubleLE(position),
+      code: buf.readUInt16LE(position + 10),
+      data: buf.slice(start, start + length),
+    };
+
+    for (const key of Object.keys(FLAGS)) {
+      record[key] = (flags & FLAGS[key]) !== 0;
+    }
+
+    records.push(record);
+    position = start + length;
+  }
+
+  return { version, records };
+}
+
+module.exports = { MAGIC, VERSION, FLAGS, header, encode, decode };
@@ -0,0 +1,10 @@
+const fs = require('fs');
+const format = require('./format');
+const Recorder = require('./Recorder');
+const Replayer = require('./Replayer');
+
+function read(file) {
+  return format.decode(Buffer.isBuffer(file) ? file : fs.readFileSync(file));
+}
+
+module.exports = { format, Recorder, Replayer, read };
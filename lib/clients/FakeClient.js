@@ -60,7 +60,7 @@ class FakeClient extends events.EventEmitter {
     if (connection) {
       this.emit('close');
       this.connection = null; // prevent infinite recursion
-      connection.close();
+      connection.close('clientClosed');
     }
 
     this.keys = null;
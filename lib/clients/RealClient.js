@@ -1,3 +1,4 @@
+const BufferStats = require('../bufferStats');
 const PacketBuffer = require('../packetBuffer');
 
 class RealClient {
@@ -6,7 +7,14 @@ class RealClient {
     this.socket = socket;
 
     this.session = null;
-    this.buffer = new PacketBuffer();
+    this.buffer = new PacketBuffer({ maxSize: connection.maxMessageSize });
+    this.buffer.on('error', (err) => {
+      if (this.connection) {
+        this.connection.log.error('framing error in data from client, disconnecting', { error: err });
+      }
+      this.close('framingError', err);
+    });
+    this.stats = new BufferStats();
 
     socket.on('data', (data) => {
       if (!this.connection) return;
@@ -28,25 +36,38 @@ class RealClient {
         case 2: {
           this.session.decrypt(data);
           this.buffer.write(data);
+          if (!this.connection) break; // closed by a framing error
 
           const { dispatch } = this.connection;
-          while (data = this.buffer.read()) {
+          // a hook may close the connection, so check the buffer is still there
+          while (this.buffer && (data = this.buffer.read())) {
             if (dispatch) {
-              data = dispatch.handle(data, false);
-            }
-            if (data) {
+              dispatch.forward(data, false);
+            } else if (this.connection) {
               this.connection.sendServer(data);
             }
           }
 
+          if (this.connection) this.connection.onClientData();
+
           break;
         }
       }
     });
 
+    socket.on('drain', () => {
+      this.stats.drain();
+      if (this.connection) this.connection.resumeServer();
+    });
+
+    // `close` follows, but the error is the better reason
+    socket.on('error', (err) => {
+      this.close('socketError', err);
+    });
+
     socket.on('close', () => {
       this.socket = null;
-      this.close();
+      this.close('clientClosed');
     });
   }
 
@@ -62,10 +83,22 @@ class RealClient {
         this.session.encrypt(data);
       }
     }
-    this.socket.write(data);
+
+    // stop reading from the server until the client catches up
+    const flushed = this.socket.write(data);
+    this.stats.update(this.socket, flushed);
+    if (!flushed) this.connection.pauseServer();
+  }
+
+  pause() {
+    if (this.socket) this.socket.pause();
+  }
+
+  resume() {
+    if (this.socket) this.socket.resume();
   }
 
-  close() {
+  close(reason = 'clientClosed', error = null) {
     if (this.socket) {
       this.socket.end();
       this.socket.unref();
@@ -75,7 +108,7 @@ class RealClient {
     const { connection } = this;
     if (connection) {
       this.connection = null; // prevent infinite recursion
-      connection.close();
+      connection.close(reason, error);
     }
 
     this.session = null;
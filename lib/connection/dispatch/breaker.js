@@ -0,0 +1,125 @@
+const DEFAULTS = {
+  // errors within `window` ms which trip the breaker for a module
+  threshold: 10,
+  window: 10000,
+  // 'suspend' to skip the module's hooks, or 'unload' to unload it
+  action: 'suspend',
+  // how long a module stays suspended, or 0 until it is resumed explicitly
+  cooldown: 60000,
+};
+
+// counts the errors thrown by each module's hooks, and stops running the hooks
+// of a module which keeps failing. emits these custom events:
+//
+//   moduleSuspended  (name, state)
+//   moduleResumed    (name)
+//   moduleDisabled   (name, state)   before unloading the module
+class Breaker {
+  constructor(base, opt = {}) {
+    this.base = base;
+    this.opt = Object.assign({}, DEFAULTS, opt);
+
+    // { <name>: { <errors>, <total>, <lastError>, <suspended>, <suspendedUntil>, <disabled> } }
+    this.modules = new Map();
+  }
+
+  get(name) {
+    let state = this.modules.get(name);
+    if (!state) {
+      state = { errors: [], total: 0, lastError: null, suspended: false, suspendedUntil: null, disabled: false };
+      this.modules.set(name, state);
+    }
+    return state;
+  }
+
+  // counts an error thrown by module `name`, tripping the breaker if needed
+  record(name, error) {
+    const state = this.get(name);
+    if (state.suspended) return;
+
+    const now = Date.now();
+    state.errors = state.errors.filter(time => now - time < this.opt.window);
+    state.errors.push(now);
+    state.total++;
+    state.lastError = error;
+
+    if (state.errors.length >= this.opt.threshold) this.trip(name, state);
+  }
+
+  trip(name, state) {
+    const { action, cooldown, threshold, window } = this.opt;
+    const reason = `${threshold} errors within ${window}ms`;
+
+    if (action === 'unload') {
+      state.disabled = true;
+      this.base.log.warn(`breaker: unloading module "${name}" after ${reason}`, { module: name });
+      this.base.emitEvent('moduleDisabled', name, this.getState(name));
+      this.base.unload(name);
+      return;
+    }
+
+    state.suspended = true;
+    state.suspendedUntil = (cooldown > 0) ? Date.now() + cooldown : null;
+    this.base.log.warn(`breaker: suspending module "${name}" after ${reason}`, { module: name });
+    this.base.emitEvent('moduleSuspended', name, this.getState(name));
+  }
+
+  // whether the hooks of module `name` should be skipped, resuming it if its
+  // cooldown has passed
+  isSuspended(name) {
+    const state = this.modules.get(name);
+    if (!state || !state.suspended) return false;
+
+    if (state.suspendedUntil !== null && Date.now() >= state.suspendedUntil) {
+      this.resume(name);
+      return false;
+    }
+    return true;
+  }
+
+  resume(name) {
+    const state = this.modules.get(name);
+    if (!state || !state.suspended) return false;
+
+    state.suspended = false;
+    state.suspendedUntil = null;
+    state.errors = [];
+    this.base.log.info(`breaker: resuming module "${name}"`, { module: name });
+    this.base.emitEvent('moduleResumed', name);
+    return true;
+  }
+
+  // forgets module `name`, such as when it is loaded again
+  delete(name) {
+    this.modules.delete(name);
+  }
+
+  clear() {
+    this.modules.clear();
+  }
+
+  getState(name) {
+    const state = this.modules.get(name);
+    if (!state) return null;
+
+    const now = Date.now();
+    return {
+      suspended: state.suspended,
+      suspendedUntil: state.suspendedUntil,
+      disabled: state.disabled,
+      recentErrors: state.errors.filter(time => now - time < this.opt.window).length,
+      totalErrors: state.total,
+      lastError: state.lastError,
+    };
+  }
+
+  getStates() {
+    const states = {};
+    for (const name of this.modules.keys()) {
+      states[name] = this.getState(name);
+    }
+    return states;
+  }
+}
+
+module.exports = Breaker;
@@ -0,0 +1,212 @@
+const Module = require('module');
+const { emptyEvent, getDefinition } = require('./definitions');
+
+// commands are typed in game chat as `!name arg1 arg2 ...`
+const PREFIX = '!';
+
+// run before every module hook, so that modules never see command input
+const COMMAND_ORDER = -1000;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': '\'' };
+
+// chat messages from the client are wrapped in HTML, such as
+// `<FONT>!proxy list</FONT>`
+function stripHtml(message) {
+  return message
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39);/gi, entity => ENTITIES[entity.toLowerCase()]);
+}
+
+function escapeHtml(message) {
+  return message
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// parses command input, returning `null` if `message` is not a command
+function parse(message) {
+  const text = stripHtml(message).trim();
+  if (text.slice(0, PREFIX.length) !== PREFIX) return null;
+
+  const args = text.slice(PREFIX.length).split(/\s+/).filter(arg => arg !== '');
+  if (args.length === 0) return null;
+
+  return { name: args.shift().toLowerCase(), args };
+}
+
+// drops the cached code of module `name`, so that loading it again picks up
+// any changes
+function uncache(name, from) {
+  if (!from || typeof from.filename !== 'string') return;
+
+  try {
+    delete require.cache[Module._resolveFilename(name, from)];
+  } catch (e) {
+    // not resolvable from there, so nothing is cached either
+  }
+}
+
+class Commands {
+  constructor(base) {
+    this.base = base;
+
+    // { <name>: { <moduleName>, <handler> } }
+    this.commands = new Map();
+
+    this.add(null, 'proxy', this.proxyCommand.bind(this));
+  }
+
+  // installs the chat hooks; called by `Dispatch` once it is set up
+  hook() {
+    const opts = { order: COMMAND_ORDER };
+    const handle = event => this.handle(event.message);
+    for (const name of ['cChat', 'cWhisper']) {
+      // the installed tera-data may not have every message
+      const version = this.base.getLatestVersion(name);
+      if (version !== null) this.base.hook(name, version, opts, handle);
+    }
+  }
+
+  add(moduleName, name, handler) {
+    name = name.toLowerCase();
+
+    const existing = this.commands.get(name);
+    if (existing) {
+      this.base.log.error(`command: "${name}" is already registered by ${existing.moduleName ? `module "${existing.moduleName}"` : 'the proxy'}`, {
+        module: moduleName,
+      });
+      return false;
+    }
+
+    this.commands.set(name, { moduleName, handler });
+    return true;
+  }
+
+  remove(moduleName, name) {
+    name = name.toLowerCase();
+
+    const command = this.commands.get(name);
+    if (!command || command.moduleName !== moduleName) return false;
+
+    this.commands.delete(name);
+    return true;
+  }
+
+  removeAll(moduleName) {
+    for (const [name, command] of Array.from(this.commands)) {
+      if (command.moduleName === moduleName) this.commands.delete(name);
+    }
+  }
+
+  // prints `message` in the client's chat
+  reply(message) {
+    const version = this.base.getLatestVersion('sChat');
+    if (version === null) {
+      this.base.log.warn('command: cannot reply, as sChat has no definition', { data: String(message) });
+      return;
+    }
+
+    // fields other than these depend on the version, and are left empty
+    const event = emptyEvent(getDefinition(this.base.protocol, 'S_CHAT', version));
+    this.base.write(false, 'sChat', version, Object.assign(event, {
+      channel: 0,
+      authorName: 'proxy',
+      message: escapeHtml(String(message)),
+    }));
+  }
+
+  // returns `false` to silence command input, and nothing otherwise, so that
+  // unknown commands still reach the server (and any other module)
+  handle(message) {
+    const input = parse(message);
+    if (!input) return;
+
+    const command = this.commands.get(input.name);
+    if (!command) return;
+
+    const fail = (e) => {
+      this.base.log.error(`command: error running "${input.name}"`, {
+        module: command.moduleName,
+        error: e,
+      });
+      this.reply(`Error running "${input.name}": ${e.message}`);
+    };
+
+    try {
+      const result = command.handler(input.args, this.reply.bind(this));
+      if (result && typeof result.then === 'function') result.then(null, fail);
+    } catch (e) {
+      fail(e);
+    }
+
+    return false;
+  }
+
+  proxyCommand(args, reply) {
+    const [action, name] = args;
+    const base = this.base;
+
+    switch (action) {
+      case 'list': {
+        const names = Array.from(base.modules.keys());
+        if (names.length === 0) {
+          reply('No modules loaded.');
+          break;
+        }
+
+        for (const moduleName of names) {
+          const commands = Array.from(this.commands)
+            .filter(([, command]) => command.moduleName === moduleName)
+            .map(([commandName]) => PREFIX + commandName);
+          reply(commands.length > 0 ? `${moduleName} (${commands.join(', ')})` : moduleName);
+        }
+        break;
+      }
+
+      case 'load': {
+        if (!name) {
+          reply('Usage: !proxy load <module>');
+        } else if (base.modules.has(name)) {
+          reply(`"${name}" is already loaded.`);
+        } else {
+          reply(base.load(name, base.getOrigin(name).from) ? `Loaded "${name}".` : `Could not load "${name}".`);
+        }
+        break;
+      }
+
+      case 'unload': {
+        if (!name) {
+          reply('Usage: !proxy unload <module>');
+        } else if (!base.modules.has(name)) {
+          reply(`"${name}" is not loaded.`);
+        } else {
+          base.unload(name);
+          reply(`Unloaded "${name}".`);
+        }
+        break;
+      }
+
+      case 'reload': {
+        if (!name) {
+          reply('Usage: !proxy reload <module>');
+        } else if (!base.modules.has(name)) {
+          reply(`"${name}" is not loaded.`);
+        } else {
+          const { from, args } = base.getOrigin(name);
+          base.unload(name);
+          uncache(name, from);
+          reply(base.load(name, from, ...args) ? `Reloaded "${name}".` : `Could not reload "${name}".`);
+        }
+        break;
+      }
+
+      default: {
+        reply('Usage: !proxy list|load|unload|reload [module]');
+        break;
+      }
+    }
+  }
+}
+
+module.exports = Commands;
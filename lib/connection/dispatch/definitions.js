@@ -0,0 +1,210 @@
+// checks data against message definitions, which are lists of
+// [<field name>, <type>] where <type> is a type name, or the definition of the
+// items for arrays
+
+// 64-bit integers are given as objects with `low` and `high` words
+function isLong(value) {
+  return value !== null && typeof value === 'object' && 'low' in value && 'high' in value;
+}
+
+// field types and whether a value fits them; other type names are left for
+// the parser to accept or reject, both when checking data and definitions
+const TYPES = {
+  byte: value => typeof value === 'number' || typeof value === 'boolean',
+  int16: value => typeof value === 'number',
+  uint16: value => typeof value === 'number',
+  int32: value => typeof value === 'number',
+  uint32: value => typeof value === 'number',
+  float: value => typeof value === 'number',
+  int64: value => typeof value === 'number' || isLong(value),
+  uint64: value => typeof value === 'number' || isLong(value),
+  string: value => typeof value === 'string',
+  bytes: value => Buffer.isBuffer(value),
+  array: value => Array.isArray(value),
+};
+
+// written by the parser itself, so never given
+const META_TYPES = ['count', 'offset'];
+
+// the metatypes each type needs declared for the same field name
+const REQUIRED_META_TYPES = {
+  array: ['count', 'offset'],
+  bytes: ['count', 'offset'],
+  string: ['offset'],
+};
+
+// returns the sorted definition versions of message `name`
+function getVersions(protocol, name) {
+  const versions = protocol.messages.get(name);
+  return versions ? Array.from(versions.keys()).sort((a, b) => a - b) : [];
+}
+
+// returns the definition of message `name` for `version` (or the latest for
+// '*'), or `null` if there is none
+function getDefinition(protocol, name, version) {
+  const versions = protocol.messages.get(name);
+  if (!versions) return null;
+
+  if (version === '*') {
+    const all = getVersions(protocol, name);
+    version = all[all.length - 1];
+  }
+
+  return versions.get(version) || null;
+}
+
+// returns a list of problems with `data` as an instance of `definition`, such
+// as "missing field guild" or "field level: expected int32, got string"
+function checkFields(definition, data, prefix = '') {
+  const problems = [];
+
+  if (data == null || typeof data !== 'object') {
+    problems.push(`${prefix || 'data'}: expected object, got ${data === null ? 'null' : typeof data}`);
+    return problems;
+  }
+
+  for (const [name, type] of definition) {
+    const path = prefix + name;
+    const value = data[name];
+
+    if (typeof type === 'string' && META_TYPES.indexOf(type) !== -1) continue;
+
+    if (value === undefined) {
+      problems.push(`missing field ${path}`);
+      continue;
+    }
+
+    if (Array.isArray(type)) {
+      if (!Array.isArray(value)) {
+        problems.push(`field ${path}: expected array, got ${typeof value}`);
+        continue;
+      }
+
+      value.forEach((item, i) => {
+        problems.push(...checkFields(type, item, `${path}[${i}].`));
+      });
+      continue;
+    }
+
+    const check = TYPES[type];
+    if (check && !check(value)) {
+      const actual = (value === null) ? 'null' : (Array.isArray(value) ? 'array' : typeof value);
+      problems.push(`field ${path}: expected ${type}, got ${actual}`);
+    }
+  }
+
+  return problems;
+}
+
+// returns an event with every field of `definition` set to an empty value, so
+// that a message can be written without knowing all of its fields
+function emptyEvent(definition) {
+  const event = {};
+
+  for (const [name, type] of definition) {
+    if (typeof type === 'string' && META_TYPES.indexOf(type) !== -1) continue;
+
+    if (Array.isArray(type)) {
+      event[name] = [];
+    } else if (type === 'string') {
+      event[name] = '';
+    } else if (type === 'bytes') {
+      event[name] = Buffer.alloc(0);
+    } else {
+      event[name] = 0;
+    }
+  }
+
+  return event;
+}
+
+// parses the text of a `.def` file into a definition, throwing if it is not
+// well-formed
+function parseDefinition(text) {
+  const definition = [];
+  const levels = [definition]; // the fields at each array depth
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    line = line.replace(/#.*$/, '').trim();
+    if (line === '') return;
+
+    const match = line.match(/^((?:-\s*)*)(\w+)\s+(\w+)$/);
+    if (!match) throw new Error(`line ${i + 1}: cannot parse "${line}"`);
+
+    const depth = match[1].replace(/\s/g, '').length;
+    const type = match[2];
+    const name = match[3];
+
+    if (depth >= levels.length) {
+      throw new Error(`line ${i + 1}: "${name}" is not inside an array`);
+    }
+
+    levels.length = depth + 1;
+    if (type === 'array') {
+      const items = [];
+      levels[depth].push([name, items]);
+      levels.push(items);
+    } else {
+      levels[depth].push([name, type]);
+    }
+  });
+
+  return definition;
+}
+
+// returns a list of problems with `definition` itself, such as malformed
+// fields or missing metatypes
+function validateDefinition(definition, prefix = '') {
+  const problems = [];
+
+  if (!Array.isArray(definition)) return ['definition must be an array'];
+
+  const meta = {};
+  for (const field of definition) {
+    if (Array.isArray(field) && META_TYPES.indexOf(field[1]) !== -1) {
+      meta[field[0]] = (meta[field[0]] || []).concat(field[1]);
+    }
+  }
+
+  const names = new Set();
+  for (const field of definition) {
+    if (!Array.isArray(field) || field.length !== 2 || typeof field[0] !== 'string') {
+      problems.push(`${prefix}invalid field ${JSON.stringify(field)}`);
+      continue;
+    }
+
+    const [name, type] = field;
+    const path = prefix + name;
+    const isArray = Array.isArray(type);
+    const typeName = isArray ? 'array' : type;
+
+    if (META_TYPES.indexOf(typeName) !== -1) continue;
+
+    if (!isArray && typeof typeName !== 'string') {
+      problems.push(`field ${path}: invalid type ${JSON.stringify(type)}`);
+      continue;
+    }
+
+    if (names.has(name)) problems.push(`field ${path}: defined more than once`);
+    names.add(name);
+
+    for (const metaType of REQUIRED_META_TYPES[typeName] || []) {
+      if ((meta[name] || []).indexOf(metaType) === -1) {
+        problems.push(`field ${path}: ${typeName} requires "${metaType} ${name}"`);
+      }
+    }
+
+    if (isArray) problems.push(...validateDefinition(type, `${path}[].`));
+  }
+
+  return problems;
+}
+
+module.exports = {
+  checkFields,
+  emptyEvent,
+  getDefinition,
+  getVersions,
+  parseDefinition,
+  validateDefinition,
+};
@@ -1,7 +1,30 @@
+const Settings = require('./settings');
+
+// how long `waitFor` and `request` wait for a matching message by default
+const DEFAULT_WAIT_TIMEOUT = 10000;
+
 class DispatchWrapper {
   constructor(base, moduleName) {
     this.base = base;
     this.moduleName = moduleName;
+    this.log = base.log.child({ source: moduleName, module: moduleName });
+
+    // temporary hooks installed by `waitFor`, with their timers and rejecters
+    this.waiting = new Set();
+
+    this.settingsStore = null;
+
+    // timers and event listeners to be removed on unload
+    this.timers = new Set();
+    this.listeners = [];
+
+    // whether the module was unloaded or its connection closed
+    this.closed = false;
+  }
+
+  // the shared game state, see `GameState`
+  get game() {
+    return this.base.game;
   }
 
   load(name, from, required = true, ...args) {
@@ -22,16 +45,235 @@ class DispatchWrapper {
     return hook;
   }
 
+  hookOnce(...args) {
+    const cb = args.pop();
+    let fired = false;
+    const hook = this.hook(...args, (...hookArgs) => {
+      // a message handled before the unhook may still reach us
+      if (fired) return;
+      fired = true;
+      this.unhook(hook);
+      return cb(...hookArgs);
+    });
+    return hook;
+  }
+
   unhook(...args) {
     return this.base.unhook(...args);
   }
 
+  createWaiter(name, version, opts = {}) {
+    const { filter, timeout = DEFAULT_WAIT_TIMEOUT } = opts;
+    const waiter = { hook: null, timer: null, promise: null, reject: null };
+
+    waiter.promise = new Promise((resolve, reject) => {
+      const finish = () => {
+        this.waiting.delete(waiter);
+        this.unhook(waiter.hook);
+        clearTimeout(waiter.timer);
+      };
+
+      waiter.reject = (err) => {
+        finish();
+        reject(err);
+      };
+
+      waiter.hook = this.hook(name, version, { order: opts.order, type: opts.type }, (event, fake) => {
+        if (filter && !filter(event, fake)) return;
+        finish();
+        resolve(event);
+      });
+
+      if (timeout > 0) {
+        waiter.timer = setTimeout(() => {
+          waiter.reject(new Error(`timed out after ${timeout}ms waiting for "${name}"`));
+        }, timeout);
+      }
+    });
+
+    this.waiting.add(waiter);
+    return waiter;
+  }
+
+  waitFor(name, version, opts) {
+    return this.createWaiter(name, version, opts).promise;
+  }
+
+  // sends a message to the server and resolves with the first matching reply,
+  // where `response` holds the `name` and `version` of the reply to wait for as
+  // well as any options for `waitFor`
+  request(name, version, data, response) {
+    const waiter = this.createWaiter(response.name, response.version, response);
+
+    if (!this.toServer(name, version, data)) {
+      waiter.reject(new Error(`failed to send "${name}"`));
+    }
+
+    return waiter.promise;
+  }
+
+  getBufferStats() {
+    const { connection } = this.base;
+    return (connection && connection.getBufferStats) ? connection.getBufferStats() : null;
+  }
+
+  hookEvent(...args) {
+    const hook = this.base.hookEvent(...args);
+    hook.moduleName = this.moduleName;
+    return hook;
+  }
+
+  emitEvent(...args) {
+    return this.base.emitEvent(...args);
+  }
+
+  provide(name, api) {
+    return this.base.provide(this.moduleName, name, api);
+  }
+
+  withdraw(name) {
+    return this.base.withdraw(this.moduleName, name);
+  }
+
+  getService(name) {
+    return this.base.getService(name);
+  }
+
+  getProtocolVersion() {
+    return this.base.getProtocolVersion();
+  }
+
+  addOpcode(name, code) {
+    this.base.addOpcode(this.moduleName, name, code);
+  }
+
+  addDefinition(name, version, definition) {
+    this.base.addDefinition(this.moduleName, name, version, definition);
+  }
+
+  getErrorState(...args) {
+    return this.base.getErrorState(...args);
+  }
+
+  resumeModule(...args) {
+    return this.base.resumeModule(...args);
+  }
+
+  command(name, handler) {
+    return this.base.commands.add(this.moduleName, name, handler);
+  }
+
+  removeCommand(name) {
+    return this.base.commands.remove(this.moduleName, name);
+  }
+
+  // the first call decides the options, later calls return the same settings
+  settings(opt = {}) {
+    if (!this.settingsStore) {
+      this.settingsStore = new Settings(this.base.settingsDir, this.moduleName, Object.assign({ log: this.log }, opt));
+    }
+    return this.settingsStore;
+  }
+
+  // like the global `setTimeout`, but cancelled when the module unloads
+  setTimeout(cb, delay, ...args) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.runTimer(cb, args);
+    }, delay);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  clearTimeout(timer) {
+    clearTimeout(timer);
+    this.timers.delete(timer);
+  }
+
+  // like the global `setInterval`, but cancelled when the module unloads
+  setInterval(cb, delay, ...args) {
+    const timer = setInterval(() => this.runTimer(cb, args), delay);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  clearInterval(timer) {
+    clearInterval(timer);
+    this.timers.delete(timer);
+  }
+
+  runTimer(cb, args) {
+    try {
+      cb(...args);
+    } catch (e) {
+      this.log.error('error running timer', {
+        error: e,
+        stack: (e.stack || '').split('\n').slice(1).join('\n'),
+      });
+    }
+  }
+
+  // like `emitter.on(event, listener)`, but removed when the module unloads
+  addListener(emitter, event, listener) {
+    emitter.on(event, listener);
+    this.listeners.push({ emitter, event, listener });
+    return listener;
+  }
+
+  removeListener(emitter, event, listener) {
+    emitter.removeListener(event, listener);
+    this.listeners = this.listeners.filter(entry =>
+      !(entry.emitter === emitter && entry.event === event && entry.listener === listener)
+    );
+  }
+
+  write(outgoing, ...args) {
+    if (this.closed) {
+      // most likely from a timer or listener the module did not clean up
+      const when = this.base.closed ? 'its connection closed' : 'it was unloaded';
+      this.log.warn(`write: module "${this.moduleName}" tried to send a message after ${when}`, {
+        stack: new Error().stack.split('\n').slice(2).join('\n'),
+      });
+      return false;
+    }
+
+    return this.base.write(outgoing, ...args);
+  }
+
   toClient(...args) {
-    return this.base.write(false, ...args);
+    return this.write(false, ...args);
   }
 
   toServer(...args) {
-    return this.base.write(true, ...args);
+    return this.write(true, ...args);
+  }
+
+  // cancels anything still pending, called by `Dispatch` on unload
+  close() {
+    this.closed = true;
+
+    for (const timer of this.timers) {
+      // timeouts and intervals share their ids, so this clears either
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+
+    for (const { emitter, event, listener } of this.listeners) {
+      emitter.removeListener(event, listener);
+    }
+    this.listeners = [];
+
+    for (const waiter of Array.from(this.waiting)) {
+      waiter.reject(new Error(`module "${this.moduleName}" was unloaded`));
+    }
+
+    if (this.settingsStore) {
+      try {
+        this.settingsStore.save();
+      } catch (e) {
+        this.log.error('settings: failed to save', { error: e });
+      }
+    }
   }
 }
 
@@ -0,0 +1,238 @@
+// runs after every module hook, so that the state reflects messages as they
+// were finally sent
+const STATE_ORDER = 1000;
+
+// 64-bit ids may be parsed as objects, so they are compared as strings
+function key(id) {
+  return String(id);
+}
+
+// the custom events emitted on state changes
+const EVENTS = [
+  'login', 'logout', 'zone', 'spawnUser', 'despawnUser', 'spawnNpc', 'despawnNpc', 'party',
+];
+
+// tracks the game state shared by every module on a connection. state is
+// updated before the matching custom event is emitted, so event hooks can
+// query it:
+//
+//   login        (character)
+//   logout       ()
+//   zone         (zone, position)
+//   spawnUser    (user)
+//   despawnUser  (user)
+//   spawnNpc     (npc)
+//   despawnNpc   (npc)
+//   party        (members)
+class GameState {
+  constructor(base) {
+    this.base = base;
+    this.hooked = false;
+    this.clear();
+  }
+
+  static isEvent(name) {
+    return EVENTS.indexOf(name) !== -1;
+  }
+
+  clear() {
+    this.character = null;
+    this.zone = null;
+    this.position = null;
+    this.users = new Map();
+    this.npcs = new Map();
+    this.party = [];
+  }
+
+  // forgets the state along with the hooks, which `Dispatch` has removed
+  reset() {
+    this.clear();
+    this.hooked = false;
+  }
+
+  // installs the state hooks, which `Dispatch` does once the state is first
+  // used so that connections nobody asks about do not parse these messages
+  hook() {
+    if (this.hooked) return;
+    this.hooked = true;
+
+    // messages silenced or injected by modules still change the state
+    const opts = { order: STATE_ORDER, type: 'all', silenced: true };
+    const hook = (name, cb) => {
+      // the installed tera-data may not have every message
+      const version = this.base.getLatestVersion(name);
+      if (version === null) {
+        this.base.log.debug(`game: not tracking ${name}, which has no definition`, { name });
+        return;
+      }
+
+      this.base.hook(name, version, opts, (event) => {
+        cb.call(this, event);
+      });
+    };
+
+    hook('sLogin', this.onLogin);
+    hook('sReturnToLobby', this.onReturnToLobby);
+    hook('sLoadTopo', this.onLoadTopo);
+    hook('cPlayerLocation', this.onPlayerLocation);
+    hook('sSpawnUser', this.onSpawnUser);
+    hook('sDespawnUser', this.onDespawnUser);
+    hook('sSpawnNpc', this.onSpawnNpc);
+    hook('sDespawnNpc', this.onDespawnNpc);
+    hook('sPartyMemberList', this.onPartyMemberList);
+    hook('sLeavePartyMember', this.onLeavePartyMember);
+    hook('sLeaveParty', this.onLeaveParty);
+  }
+
+  emit(name, ...args) {
+    this.base.emitEvent(name, ...args);
+  }
+
+  /* queries */
+
+  getCharacter() {
+    return this.character;
+  }
+
+  isMe(cid) {
+    return this.character != null && key(this.character.cid) === key(cid);
+  }
+
+  getZone() {
+    return this.zone;
+  }
+
+  getPosition() {
+    return this.position;
+  }
+
+  getUser(cid) {
+    return this.users.get(key(cid)) || null;
+  }
+
+  getUsers() {
+    return Array.from(this.users.values());
+  }
+
+  getNpc(cid) {
+    return this.npcs.get(key(cid)) || null;
+  }
+
+  getNpcs() {
+    return Array.from(this.npcs.values());
+  }
+
+  getParty() {
+    return this.party.slice();
+  }
+
+  inParty() {
+    return this.party.length > 0;
+  }
+
+  /* hooks */
+
+  onLogin(event) {
+    this.clear();
+    this.character = {
+      cid: event.cid,
+      playerId: event.playerId,
+      serverId: event.serverId,
+      name: event.name,
+      level: event.level,
+      model: event.model,
+    };
+    this.emit('login', this.character);
+  }
+
+  onReturnToLobby() {
+    if (!this.character) return;
+    this.clear();
+    this.emit('logout');
+  }
+
+  onLoadTopo(event) {
+    // the server respawns everything around the player after a zone change
+    this.users.clear();
+    this.npcs.clear();
+
+    this.zone = event.zone;
+    this.position = { x: event.x, y: event.y, z: event.z, w: 0 };
+    this.emit('zone', this.zone, this.position);
+  }
+
+  onPlayerLocation(event) {
+    // the destination of the movement, as the server will see it
+    this.position = { x: event.x2, y: event.y2, z: event.z2, w: event.w };
+  }
+
+  onSpawnUser(event) {
+    const user = {
+      cid: event.cid,
+      playerId: event.playerId,
+      serverId: event.serverId,
+      name: event.name,
+      guild: event.guild,
+      level: event.level,
+      model: event.model,
+      position: { x: event.x, y: event.y, z: event.z, w: event.w },
+    };
+    this.users.set(key(user.cid), user);
+    this.emit('spawnUser', user);
+  }
+
+  onDespawnUser(event) {
+    const user = this.getUser(event.target);
+    if (!user) return;
+    this.users.delete(key(event.target));
+    this.emit('despawnUser', user);
+  }
+
+  onSpawnNpc(event) {
+    const npc = {
+      cid: event.id,
+      templateId: event.templateId,
+      huntingZoneId: event.huntingZoneId,
+      relation: event.relation,
+      position: { x: event.x, y: event.y, z: event.z, w: event.w },
+    };
+    this.npcs.set(key(npc.cid), npc);
+    this.emit('spawnNpc', npc);
+  }
+
+  onDespawnNpc(event) {
+    const npc = this.getNpc(event.target);
+    if (!npc) return;
+    this.npcs.delete(key(event.target));
+    this.emit('despawnNpc', npc);
+  }
+
+  onPartyMemberList(event) {
+    this.party = event.members.map(member => ({
+      cid: member.cid,
+      playerId: member.playerId,
+      serverId: member.serverId,
+      name: member.name,
+      level: member.level,
+      class: member.class,
+      online: member.online,
+    }));
+    this.emit('party', this.getParty());
+  }
+
+  onLeavePartyMember(event) {
+    const count = this.party.length;
+    this.party = this.party.filter(member =>
+      !(member.playerId === event.playerId && member.serverId === event.serverId)
+    );
+    if (this.party.length !== count) this.emit('party', this.getParty());
+  }
+
+  onLeaveParty() {
+    if (this.party.length === 0) return;
+    this.party = [];
+    this.emit('party', this.getParty());
+  }
+}
+
+module.exports = GameState;
@@ -1,10 +1,29 @@
 const path = require('path');
 const util = require('util');
 const binarySearch = require('binary-search');
-const { protocol } = require('tera-data-parser');
+const semver = require('semver');
+const Recorder = require('../../capture/Recorder');
+const { Log } = require('../../logger');
+const Breaker = require('./breaker');
+const Commands = require('./commands');
+const {
+  checkFields,
+  getDefinition,
+  getVersions,
+  parseDefinition,
+  validateDefinition,
+} = require('./definitions');
+const GameState = require('./gameState');
+const { Profiler, since } = require('./profiler');
+const { copyProtocol, defaultProtocol, getProtocol, readVersion } = require('./protocols');
 const Wrapper = require('./dispatchWrapper');
 
-protocol.load(require.resolve('tera-data'));
+// how long a hook may take to settle a returned promise before it is ignored
+const DEFAULT_HOOK_TIMEOUT = 5000;
+
+function isPromise(obj) {
+  return obj != null && typeof obj.then === 'function';
+}
 
 function tryIt(func) {
   try {
@@ -14,6 +33,20 @@ function tryIt(func) {
   }
 }
 
+// deep copy of a parsed event, keeping the prototypes of objects such as
+// 64-bit integers
+function cloneEvent(value) {
+  if (value == null || typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(cloneEvent);
+
+  const copy = Object.create(Object.getPrototypeOf(value));
+  for (const key of Object.keys(value)) {
+    copy[key] = cloneEvent(value[key]);
+  }
+  return copy;
+}
+
 function normalizeName(name) {
   if (name === 'sF2pPremiumUserPermission') {
     return 'S_F2P_PremiumUser_Permission';
@@ -24,13 +57,22 @@ function normalizeName(name) {
   }
 }
 
+function hasDefinition(protocol, name, version) {
+  const normalizedName = normalizeName(name);
+  if (!protocol.map.name.has(normalizedName)) return false;
+  if (version === '*' || version === 'latest' || version === 'raw') return true;
+
+  const versions = protocol.messages.get(normalizedName);
+  return !!versions && versions.has(version);
+}
+
 function getHookName(hook) {
   const callbackName = hook.callback ? (hook.callback.name || '(anonymous)') : '<unknown>';
   const moduleName = hook.moduleName || '<unknown>';
   return `${callbackName} in ${moduleName}`;
 }
 
-function getMessageName(identifier, version, originalName) {
+function getMessageName(protocol, identifier, version, originalName) {
   if (typeof identifier === 'string') {
     const append = (identifier !== originalName) ? ` (original: "${originalName}")` : '';
     return `${identifier}<${version}>${append}`;
@@ -42,6 +84,16 @@ function getMessageName(identifier, version, originalName) {
   }
 }
 
+// log fields describing `hook` handling message `code`
+function hookFields(protocol, hook, code) {
+  return {
+    module: hook.moduleName,
+    opcode: code,
+    name: getMessageName(protocol, code, hook.definitionVersion),
+    hook: getHookName(hook),
+  };
+}
+
 function parseStack(err) {
   const stack = (err && err.stack) || '';
   return stack.split('\n').slice(1).map((line) => {
@@ -85,59 +137,179 @@ function errStack(err = new Error(), removeFront = true) {
   return stack.map(frame => frame.source).join('\n');
 }
 
-function logError(message) {
-  console.error(Array.isArray(message) ? message.join('\n') : message);
-}
-
 class Dispatch {
-  constructor(connection) {
+  constructor(connection, opt = {}) {
     this.connection = connection;
+    this.log = new Log(opt.logger, { source: 'dispatch' });
+    this.settingsDir = opt.settingsDir || path.join(process.cwd(), 'settings');
+    this.closed = false; // set once reset, when the connection closes
+
+    // opcodes and definitions, chosen by the client's protocol version once
+    // it sends C_CHECK_VERSION. `protocol` is a copy of `baseProtocol` while
+    // modules have added their own opcodes or definitions
+    this.baseProtocol = defaultProtocol;
+    this.protocol = defaultProtocol;
+    this.protocolVersion = null;
+    this.versionChecked = false;
+
+    // added by modules:
+    // { <name>: { <moduleName>, <code> } }
+    this.customOpcodes = new Map();
+    // [ { <moduleName>, <name>, <version>, <definition> } ]
+    this.customDefinitions = [];
+
+    // in strict mode, problems with definitions found while a module is being
+    // constructed fail its load instead of only being logged
+    this.strict = !!opt.strict;
+    this.constructing = 0;
+    this.reportedProblems = new Set(); // so that repeated writes only warn once
     this.modules = new Map();
+    this.wrappers = new Map();
+    this.origins = new Map(); // name -> { <from>, <args> } it was loaded with
+
+    // for modules with manifests
+    this.manifests = new Map();
+    this.dependencies = new Map(); // name -> names of modules it depends on
+    this.loading = new Set(); // names of modules whose dependencies are loading
+
+    // services provided by modules:
+    // { <name>: { <moduleName>, <api> } }
+    this.services = new Map();
 
     // hooks:
     // { <code>:
     //   [ { <order>
     //     , hooks:
-    //       [ { <code>, <order>, <definitionVersion>, <type>, <moduleName>, <callback> }
+    //       [ { <code>, <name>, <order>, <definitionVersion>, <type>, <timeout>, <silenced>, <moduleName>, <callback> }
     //       ]
     //     }
     //   ]
     // }
     this.hooks = new Map();
+
+    this.recorder = null;
+    this.profiler = null;
+    this.breaker = new Breaker(this, opt.breaker);
+
+    // messages waiting for the hooks of earlier messages in the same direction
+    // to finish, with the one being handled first
+    this.queues = { toClient: [], toServer: [] };
+    this.pendingInjected = 0; // injected messages waiting on asynchronous hooks
+    this.settledCallbacks = [];
+
+    this.commands = new Commands(this);
+    this.commands.hook();
+
+    // hooked once `game` is first used
+    this.gameState = new GameState(this);
+  }
+
+  get game() {
+    this.gameState.hook();
+    return this.gameState;
   }
 
   reset() {
+    this.closed = true;
+    this.stopRecording();
+
     for (const name of this.modules.keys()) {
       this.unload(name);
     }
 
+    // modules which are still being constructed
+    for (const wrapper of this.wrappers.values()) wrapper.close();
+
     this.modules.clear();
+    this.wrappers.clear();
+    this.origins.clear();
+    this.manifests.clear();
+    this.dependencies.clear();
+    this.services.clear();
     this.hooks.clear();
+    this.breaker.clear();
+    this.reportedProblems.clear();
+    this.customOpcodes.clear();
+    this.customDefinitions = [];
+    this.gameState.reset();
+
+    for (const entry of this.queues.toClient.concat(this.queues.toServer)) {
+      if (entry.resolve) entry.resolve(false);
+    }
+    this.queues.toClient = [];
+    this.queues.toServer = [];
+    this.pendingInjected = 0;
+    for (const cb of this.settledCallbacks) cb();
+    this.settledCallbacks = [];
   }
 
   load(name, from = module, ...args) {
     const mod = this.modules.get(name);
     if (mod) return mod;
 
+    const origin = { from, args };
+
+    // dependencies are loaded from the same place, unless `from` is the module
+    // constructor itself
+    let dependencyFrom = from;
+
     if (typeof from.require !== 'function' && typeof from === 'function') {
       // `from` is a function, so use itself the module constructor
       from = { require: (ModuleConstructor => () => ModuleConstructor)(from) };
+      dependencyFrom = module;
+    }
+
+    let ModuleConstructor;
+    try {
+      ModuleConstructor = from.require(name);
+      if (ModuleConstructor.manifest) {
+        this.loading.add(name);
+        this.resolveManifest(name, ModuleConstructor.manifest, dependencyFrom);
+      }
+    } catch (e) {
+      this.log.error(`load: cannot load module "${name}"`, {
+        module: name,
+        error: e,
+        stack: errStack(e),
+      });
+      return;
+    } finally {
+      this.loading.delete(name);
     }
 
     try {
-      const ModuleConstructor = from.require(name);
+      // tracked right away, so that its timers are cancelled by `reset()` even
+      // while the module is still being constructed
       const wrapper = new Wrapper(this, name);
-      const mod = new ModuleConstructor(wrapper, ...args);
+      this.wrappers.set(name, wrapper);
+      let mod;
+      this.constructing++;
+      try {
+        mod = new ModuleConstructor(wrapper, ...args);
+      } finally {
+        this.constructing--;
+      }
       this.modules.set(name, mod);
+      this.origins.set(name, origin);
+      this.breaker.delete(name);
+      if (ModuleConstructor.manifest) {
+        this.manifests.set(name, ModuleConstructor.manifest);
+      }
 
-      console.log(`[dispatch] loaded "${name}"`);
+      this.log.info(`loaded "${name}"`, { module: name });
       return mod;
     } catch (e) {
-      logError([
-        `[dispatch] load: error initializing module "${name}"`,
-        `error: ${e.message}`,
-        errStack(e),
-      ]);
+      // undo whatever the module set up before failing
+      this.release(name);
+      const wrapper = this.wrappers.get(name);
+      if (wrapper) wrapper.close();
+      this.wrappers.delete(name);
+      this.dependencies.delete(name);
+      this.log.error(`load: error initializing module "${name}"`, {
+        module: name,
+        error: e,
+        stack: errStack(e),
+      });
     }
   }
 
@@ -145,33 +317,100 @@ class Dispatch {
     const mod = this.modules.get(name);
 
     if (!mod) {
-      logError([
-        `[dispatch] unload: cannot unload non-loaded module "${name}"`,
-        errStack(),
-      ]);
+      this.log.error(`unload: cannot unload non-loaded module "${name}"`, {
+        module: name,
+        stack: errStack(),
+      });
       return false;
     }
 
+    // unload anything depending on this module first
+    for (const [dependent, dependencies] of Array.from(this.dependencies)) {
+      if (dependencies.indexOf(name) !== -1 && this.modules.has(dependent)) {
+        this.unload(dependent);
+      }
+    }
+
+    this.release(name, mod);
+
+    const wrapper = this.wrappers.get(name);
+    if (wrapper) wrapper.close();
+
+    this.modules.delete(name);
+    this.wrappers.delete(name);
+    this.origins.delete(name);
+    this.manifests.delete(name);
+    this.dependencies.delete(name);
+    return true;
+  }
+
+  // removes the hooks, services, commands and definitions added by module
+  // `name`, running the destructor of `mod` (if given) once nothing can reach
+  // it anymore
+  release(name, mod) {
     for (const orderings of this.hooks.values()) {
       for (const ordering of orderings) {
         ordering.hooks = ordering.hooks.filter(hook => hook.moduleName !== name);
       }
     }
 
-    if (typeof mod.destructor === 'function') {
+    // let other modules know its services are going away before they do
+    for (const [serviceName, service] of Array.from(this.services)) {
+      if (service.moduleName === name) this.withdraw(name, serviceName);
+    }
+
+    if (mod && typeof mod.destructor === 'function') {
       try {
         mod.destructor();
       } catch (e) {
-        logError([
-          `[dispatch] unload: error running destructor for module "${name}"`,
-          `error: ${e.message}`,
-          errStack(e),
-        ]);
+        this.log.error(`unload: error running destructor for module "${name}"`, {
+          module: name,
+          error: e,
+          stack: errStack(e),
+        });
       }
     }
 
-    this.modules.delete(name);
-    return true;
+    this.commands.removeAll(name);
+    this.removeCustomDefinitions(name);
+  }
+
+  // where to load module `name` from again, such as for reloading it
+  getOrigin(name) {
+    return this.origins.get(name) || { from: require.main || module, args: [] };
+  }
+
+  // checks the messages required by a module's manifest and loads its
+  // dependencies, throwing if any requirement is not met
+  resolveManifest(name, manifest, from) {
+    const messages = manifest.messages || {};
+    for (const message of Object.keys(messages)) {
+      for (const version of [].concat(messages[message])) {
+        if (!hasDefinition(this.protocol, message, version)) {
+          throw new Error(`requires message ${message}<${version}>, which is not defined`);
+        }
+      }
+    }
+
+    const dependencies = manifest.dependencies || {};
+    for (const dependency of Object.keys(dependencies)) {
+      if (this.loading.has(dependency)) {
+        throw new Error(`circular dependency on "${dependency}"`);
+      }
+
+      if (!this.load(dependency, from)) {
+        throw new Error(`dependency "${dependency}" could not be loaded`);
+      }
+
+      const range = dependencies[dependency];
+      const dependencyManifest = this.manifests.get(dependency) || {};
+      const version = dependencyManifest.version;
+      if (range !== '*' && !(version && semver.satisfies(version, range))) {
+        throw new Error(`requires "${dependency}" ${range}, but ${version || 'an unknown version'} is loaded`);
+      }
+    }
+
+    this.dependencies.set(name, Object.keys(dependencies));
   }
 
   createHook(name, version, opts, cb) {
@@ -183,11 +422,10 @@ class Dispatch {
         version = '*';
 
         if (!process.env.NO_WARN_IMPLIED_VERSION) {
-          logError([
-            `[dispatch] hook: using implied latest version for "${name}"`,
-            'WARNING: This behavior is deprecated. Please add an explicit version number or contact the module author to do so.',
-            errStack(),
-          ]);
+          this.log.warn(`hook: using implied latest version for "${name}". This behavior is deprecated. Please add an explicit version number or contact the module author to do so.`, {
+            name,
+            stack: errStack(),
+          });
         }
       }
     }
@@ -198,34 +436,37 @@ class Dispatch {
     }
 
     if (typeof cb !== 'function') {
-      cb = () => {};
+      this.log.error(`hook: last argument not a function (given: ${typeof cb})`, {
+        name,
+        stack: errStack(),
+      });
 
-      logError([
-        `[dispatch] hook: last argument not a function (given: ${typeof cb})`,
-        errStack(),
-      ]);
+      cb = () => {};
     }
 
     // retrieve opcode
     let code;
+    let normalizedName = null;
     if (name === '*') {
       code = name;
       if (typeof version === 'number') {
-        logError([
-          `[dispatch] hook: * hook must request version '*' or 'raw' (given: ${version})`,
-          errStack(),
-        ]);
+        this.log.error(`hook: * hook must request version '*' or 'raw' (given: ${version})`, {
+          stack: errStack(),
+        });
 
         version = '*';
       }
     } else {
-      const normalizedName = normalizeName(name);
-      code = protocol.map.name.get(normalizedName);
+      normalizedName = normalizeName(name);
+      code = this.protocol.map.name.get(normalizedName);
       if (code == null) {
-        logError([
-          `[dispatch] hook: unrecognized hook target ${getMessageName(normalizedName, version, name)}`,
-          errStack(),
-        ]);
+        const message = `hook: unrecognized hook target ${getMessageName(this.protocol, normalizedName, version, name)}`;
+        if (this.isStrict()) throw new Error(message);
+
+        this.log.error(message, {
+          name: getMessageName(this.protocol, normalizedName, version, name),
+          stack: errStack(),
+        });
 
         code = '_UNKNOWN';
       }
@@ -235,22 +476,56 @@ class Dispatch {
     if (typeof version !== 'number') {
       if (version === 'latest') version = '*';
       if (version !== '*' && version !== 'raw') {
-        // TODO warning
+        this.definitionProblem(`hook: invalid version ${util.inspect(version)} for "${name}", using '*' instead`, { name });
         version = '*';
       }
+    } else if (code !== '_UNKNOWN' && code !== '*') {
+      const versions = getVersions(this.protocol, normalizedName);
+      if (versions.indexOf(version) === -1) {
+        this.definitionProblem(`hook: no definition for ${getMessageName(this.protocol, normalizedName, version, name)} (available: ${versions.join(', ') || 'none'})`, {
+          name: getMessageName(this.protocol, normalizedName, version, name),
+        });
+      }
     }
 
     return {
       code,
+      name: normalizedName,
       order: opts.order || 0,
       definitionVersion: version,
       type: opts.type || 'real',
+      timeout: (opts.timeout != null) ? opts.timeout : DEFAULT_HOOK_TIMEOUT,
+      silenced: !!opts.silenced,
       callback: cb,
     };
   }
 
   hook(...args) {
-    const hook = this.createHook(...args);
+    return this.addHook(this.createHook(...args));
+  }
+
+  // returns the latest definition version of message `name`, or `null` if the
+  // current protocol has no opcode or definition for it
+  getLatestVersion(name) {
+    const normalizedName = normalizeName(name);
+    if (!this.protocol.map.name.has(normalizedName)) return null;
+
+    const versions = getVersions(this.protocol, normalizedName);
+    return (versions.length > 0) ? versions[versions.length - 1] : null;
+  }
+
+  isStrict() {
+    return this.strict && this.constructing > 0;
+  }
+
+  // throws in strict mode, and logs a warning otherwise
+  definitionProblem(message, fields) {
+    if (this.isStrict()) throw new Error(message);
+
+    this.log.warn(message, Object.assign({ stack: errStack() }, fields));
+  }
+
+  addHook(hook) {
     const { code, order } = hook;
 
     if (!this.hooks.has(code)) {
@@ -258,7 +533,7 @@ class Dispatch {
     }
 
     const ordering = this.hooks.get(code);
-    const index = binarySearch(ordering, order, (a, b) => a.order - b.order);
+    const index = binarySearch(ordering, order, (group, needle) => group.order - needle);
     if (index < 0) {
       ordering.splice(~index, 0, { order, hooks: [hook] });
     } else {
@@ -268,6 +543,173 @@ class Dispatch {
     return hook;
   }
 
+  getProtocolVersion() {
+    return this.protocolVersion;
+  }
+
+  // switches to the opcodes of protocol `version`, returning whether there is
+  // an opcode map for it
+  setProtocolVersion(version) {
+    let protocol;
+    try {
+      protocol = getProtocol(version);
+    } catch (e) {
+      this.log.error(`cannot load opcode map for protocol version ${version}`, { error: e });
+      return false;
+    }
+
+    this.protocolVersion = version;
+    if (!protocol) {
+      this.log.warn(`no opcode map for protocol version ${version}, using the default map`);
+      return false;
+    }
+
+    if (protocol !== this.baseProtocol) {
+      this.baseProtocol = protocol;
+      this.rebuildProtocol();
+    }
+
+    this.log.info(`using protocol version ${version}`);
+    return true;
+  }
+
+  // moves every message hook to its opcode in the current protocol
+  rekeyHooks() {
+    const hooks = this.hooks;
+    this.hooks = new Map();
+
+    for (const ordering of hooks.values()) {
+      for (const group of ordering) {
+        for (const hook of group.hooks) {
+          if (hook.name) {
+            const code = this.protocol.map.name.get(hook.name);
+            if (code == null && hook.code !== '_UNKNOWN') {
+              this.log.warn(`hook: ${hook.name} is no longer mapped to an opcode`, {
+                module: hook.moduleName,
+                name: hook.name,
+                hook: getHookName(hook),
+              });
+            }
+            hook.code = (code != null) ? code : '_UNKNOWN';
+          }
+
+          this.addHook(hook);
+        }
+      }
+    }
+  }
+
+  // maps message `name` to opcode `code` on this connection, throwing if
+  // either is invalid or already taken
+  addOpcode(moduleName, name, code) {
+    name = normalizeName(String(name));
+    if (!/^[CS]_\w+$/.test(name)) {
+      throw new Error(`addOpcode: invalid message name "${name}"`);
+    }
+    if (!(Number.isInteger(code) && code >= 0 && code <= 0xFFFF)) {
+      throw new Error(`addOpcode: invalid opcode ${util.inspect(code)} for ${name}`);
+    }
+
+    const custom = this.customOpcodes.get(name);
+    if (custom && custom.moduleName !== moduleName) {
+      throw new Error(`addOpcode: ${name} is already mapped by module "${custom.moduleName}"`);
+    }
+
+    const existingCode = this.protocol.map.name.get(name);
+    if (!custom && existingCode != null && existingCode !== code) {
+      throw new Error(`addOpcode: ${name} is already mapped to opcode ${existingCode}`);
+    }
+
+    const existingName = this.protocol.map.code.get(code);
+    if (existingName != null && existingName !== name) {
+      throw new Error(`addOpcode: opcode ${code} is already mapped to ${existingName}`);
+    }
+
+    this.customOpcodes.set(name, { moduleName, code });
+    this.rebuildProtocol();
+  }
+
+  // adds `definition` (the text of a `.def` file, or an already parsed one) as
+  // version `version` of message `name` on this connection, throwing if it is
+  // invalid or already added by another module
+  addDefinition(moduleName, name, version, definition) {
+    name = normalizeName(String(name));
+    if (!(Number.isInteger(version) && version > 0)) {
+      throw new Error(`addDefinition: invalid version ${util.inspect(version)} for ${name}`);
+    }
+
+    if (typeof definition === 'string') {
+      try {
+        definition = parseDefinition(definition);
+      } catch (e) {
+        throw new Error(`addDefinition: cannot parse ${name}<${version}>: ${e.message}`);
+      }
+    }
+
+    const problems = validateDefinition(definition);
+    if (problems.length > 0) {
+      throw new Error(`addDefinition: invalid definition for ${name}<${version}>: ${problems.join(', ')}`);
+    }
+
+    const index = this.customDefinitions.findIndex(custom =>
+      custom.name === name && custom.version === version
+    );
+    if (index !== -1) {
+      const custom = this.customDefinitions[index];
+      if (custom.moduleName !== moduleName) {
+        throw new Error(`addDefinition: ${name}<${version}> is already defined by module "${custom.moduleName}"`);
+      }
+      this.customDefinitions.splice(index, 1);
+    } else if (getDefinition(this.protocol, name, version)) {
+      this.log.warn(`addDefinition: replacing ${name}<${version}> on this connection`, { module: moduleName, name });
+    }
+
+    this.customDefinitions.push({ moduleName, name, version, definition });
+    this.rebuildProtocol();
+  }
+
+  removeCustomDefinitions(moduleName) {
+    const opcodes = Array.from(this.customOpcodes).filter(([, custom]) => custom.moduleName === moduleName);
+    const definitions = this.customDefinitions.filter(custom => custom.moduleName === moduleName);
+    if (opcodes.length === 0 && definitions.length === 0) return;
+
+    for (const [name] of opcodes) this.customOpcodes.delete(name);
+    this.customDefinitions = this.customDefinitions.filter(custom => custom.moduleName !== moduleName);
+    this.rebuildProtocol();
+  }
+
+  // applies the opcodes and definitions added by modules to `baseProtocol`
+  rebuildProtocol() {
+    if (this.customOpcodes.size === 0 && this.customDefinitions.length === 0) {
+      this.protocol = this.baseProtocol;
+    } else {
+      const protocol = copyProtocol(this.baseProtocol);
+
+      for (const [name, { moduleName, code }] of this.customOpcodes) {
+        const existingName = protocol.map.code.get(code);
+        if (existingName != null && existingName !== name) {
+          // only possible after switching to another protocol version
+          this.log.warn(`opcode ${code} for ${name} is already mapped to ${existingName}`, { module: moduleName });
+          continue;
+        }
+
+        protocol.map.code.delete(protocol.map.name.get(name));
+        protocol.map.name.set(name, code);
+        protocol.map.code.set(code, name);
+      }
+
+      for (const { name, version, definition } of this.customDefinitions) {
+        const versions = new Map(protocol.messages.get(name) || []);
+        versions.set(version, definition);
+        protocol.messages.set(name, versions);
+      }
+
+      this.protocol = protocol;
+    }
+
+    this.rekeyHooks();
+  }
+
   unhook(hook) {
     if (!this.hooks.has(hook.code)) return;
 
@@ -276,6 +718,141 @@ class Dispatch {
     if (group) group.hooks = group.hooks.filter(h => h !== hook);
   }
 
+  // custom events are hooked like messages, under a code that no opcode can
+  // take, and run with the same ordering
+  hookEvent(name, opts, cb) {
+    if (typeof opts === 'function') {
+      cb = opts;
+      opts = {};
+    }
+
+    if (typeof cb !== 'function') {
+      this.log.error(`hookEvent: last argument not a function (given: ${typeof cb})`, {
+        stack: errStack(),
+      });
+
+      cb = () => {};
+    }
+
+    if (GameState.isEvent(name)) this.gameState.hook();
+
+    return this.addHook({
+      code: `event:${name}`,
+      event: name,
+      order: (opts && opts.order) || 0,
+      callback: cb,
+    });
+  }
+
+  // runs the hooks for custom event `name` with `args`, returning `false` if a
+  // hook returned `false` to stop the event, or `true` otherwise
+  emitEvent(name, ...args) {
+    const ordering = this.hooks.get(`event:${name}`);
+    if (!ordering) return true;
+
+    // copy so that hooks added or removed by hooks take effect next time
+    const hooks = [];
+    for (const order of ordering) {
+      hooks.push(...order.hooks);
+    }
+
+    for (const hook of hooks) {
+      if (this.isSuspended(hook)) continue;
+
+      const result = tryIt(() => hook.callback(...args));
+
+      if (result instanceof Error) {
+        this.log.error(`emitEvent: error running hook for event "${name}"`, {
+          module: hook.moduleName,
+          hook: getHookName(hook),
+          error: result,
+          stack: errStack(result),
+        });
+        this.hookError(hook, result);
+      } else if (result === false) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  provide(moduleName, name, api) {
+    const service = this.services.get(name);
+    if (service && service.moduleName !== moduleName) {
+      this.log.error(`provide: service "${name}" is already provided by "${service.moduleName}"`, {
+        module: moduleName,
+        stack: errStack(),
+      });
+      return false;
+    }
+
+    this.services.set(name, { moduleName, api });
+    this.emitEvent('serviceAdded', name, moduleName);
+    return true;
+  }
+
+  withdraw(moduleName, name) {
+    const service = this.services.get(name);
+    if (!service || service.moduleName !== moduleName) return false;
+
+    this.services.delete(name);
+    this.emitEvent('serviceRemoved', name, moduleName);
+    return true;
+  }
+
+  getService(name) {
+    const service = this.services.get(name);
+    return service && service.api;
+  }
+
+  record(target) {
+    this.stopRecording();
+
+    const recorder = new Recorder(target);
+    recorder.on('error', (err) => {
+      this.log.error('record: cannot write capture, recording stopped', { error: err });
+      if (this.recorder === recorder) this.recorder = null;
+    });
+
+    this.recorder = recorder;
+    return recorder;
+  }
+
+  stopRecording(cb) {
+    const { recorder } = this;
+    if (!recorder) {
+      if (cb) process.nextTick(cb);
+      return;
+    }
+
+    this.recorder = null;
+    recorder.close(cb);
+  }
+
+  profile(opt) {
+    this.profiler = new Profiler(opt);
+    return this.profiler;
+  }
+
+  stopProfiling() {
+    this.profiler = null;
+  }
+
+  getProfile() {
+    if (!this.profiler) return null;
+    return this.profiler.snapshot(code => this.protocol.map.code.get(code));
+  }
+
+  // records time spent on `hook` if profiling, warning if it was over budget
+  addProfile(hook, state, type, start) {
+    const time = since(start);
+    if (this.profiler.add(hook, state.code, type, time)) {
+      const fields = hookFields(this.protocol, hook, state.code);
+      this.log.warn(`profile: hook for ${fields.name} took ${time.toFixed(3)}ms`, fields);
+    }
+  }
+
   write(outgoing, name, version, data) {
     if (!this.connection) return false;
 
@@ -289,34 +866,206 @@ class Dispatch {
         version = '*';
 
         if (!process.env.NO_WARN_IMPLIED_VERSION) {
-          logError([
-            `[dispatch] write: using implied latest version for "${normalizedName}"`,
-            'WARNING: This behavior is deprecated. Please add an explicit version number or contact the module author to do so.',
-            errStack(),
-          ]);
+          this.log.warn(`write: using implied latest version for "${normalizedName}". This behavior is deprecated. Please add an explicit version number or contact the module author to do so.`, {
+            name: normalizedName,
+            stack: errStack(),
+          });
+        }
+      }
+
+      const messageName = getMessageName(this.protocol, normalizedName, version, name);
+      const definition = getDefinition(this.protocol, normalizedName, version);
+      if (!definition) {
+        const versions = getVersions(this.protocol, normalizedName);
+        const message = `write: no definition for ${messageName} (available: ${versions.join(', ') || 'none'})`;
+        if (this.isStrict()) throw new Error(message);
+
+        this.log.error(message, { name: messageName, stack: errStack() });
+        return false;
+      }
+
+      const problems = checkFields(definition, data);
+      if (problems.length > 0) {
+        const message = `write: invalid data for ${messageName}: ${problems.join(', ')}`;
+        if (!this.reportedProblems.has(message) || this.isStrict()) {
+          this.reportedProblems.add(message);
+          this.definitionProblem(message, { name: messageName });
         }
       }
 
       try {
-        data = protocol.write(normalizedName, version, data);
+        data = this.protocol.write(normalizedName, version, data);
       } catch (e) {
-        logError([
-          `[dispatch] write: failed to generate ${getMessageName(normalizedName, version, name)}`,
-          `error: ${e.message}`,
-          errStack(e, false),
-        ]);
+        this.log.error(`write: failed to generate ${getMessageName(this.protocol, normalizedName, version, name)}`, {
+          name: getMessageName(this.protocol, normalizedName, version, name),
+          error: e,
+          stack: errStack(e, false),
+        });
         return false;
       }
 
-      data = this.handle(data, !outgoing, true);
-      if (data === false) return false;
+      return this.forward(data, !outgoing, true) !== false;
     }
+    // raw buffers skip the hooks, but are still part of the capture
+    if (this.recorder) this.recorder.record(data, data, !outgoing, true);
+
     this.connection[outgoing ? 'sendServer' : 'sendClient'](data);
     return true;
   }
 
+  // handles a message and sends the result on, making sure that messages in
+  // each direction are sent in the order they were handled even when some of
+  // them are still waiting on asynchronous hooks
+  forward(data, fromServer, fake = false) {
+    // the client's first message tells which patch it is on
+    if (!fromServer && !fake && !this.versionChecked) {
+      this.versionChecked = true;
+      const version = readVersion(data);
+      if (version !== null) this.setProtocolVersion(version);
+    }
+
+    const entry = this.createEntry(data, fromServer, fake);
+
+    // injected messages do not wait for earlier messages, so that a hook can
+    // inject a message and wait for the reply to it
+    if (fake) {
+      const result = this.handleEntry(entry, fromServer);
+      if (!isPromise(result)) {
+        if (result) this.send(result, fromServer);
+        return result;
+      }
+
+      this.pendingInjected++;
+      return result.then((data) => {
+        this.pendingInjected--;
+        if (data) this.send(data, fromServer);
+        this.checkSettled();
+        return data;
+      });
+    }
+
+    // otherwise, hooks see messages in the order they arrived
+    const queue = this.queues[fromServer ? 'toClient' : 'toServer'];
+    queue.push(entry);
+    if (queue.length === 1) this.flush(queue, fromServer);
+
+    if (entry.done) return entry.result;
+    return new Promise((resolve) => {
+      entry.resolve = resolve;
+    });
+  }
+
+  send(data, fromServer) {
+    if (this.connection) {
+      this.connection[fromServer ? 'sendClient' : 'sendServer'](data);
+    }
+  }
+
+  // handles queued messages until one waits on an asynchronous hook
+  flush(queue, fromServer) {
+    while (queue.length > 0) {
+      // the queue is replaced when the connection closes
+      if (queue !== this.queues[fromServer ? 'toClient' : 'toServer']) return;
+
+      const entry = queue[0];
+      const result = this.handleEntry(entry, fromServer);
+
+      if (isPromise(result)) {
+        result.then((data) => {
+          this.finish(queue, entry, data, fromServer);
+          this.flush(queue, fromServer);
+        });
+        return;
+      }
+
+      this.finish(queue, entry, result, fromServer);
+    }
+
+    this.checkSettled();
+  }
+
+  finish(queue, entry, data, fromServer) {
+    if (queue[0] === entry) queue.shift();
+    if (data) this.send(data, fromServer);
+
+    entry.done = true;
+    entry.result = data;
+    if (entry.resolve) entry.resolve(data);
+  }
+
+  isSettled() {
+    return this.queues.toClient.length === 0 && this.queues.toServer.length === 0 && this.pendingInjected === 0;
+  }
+
+  checkSettled() {
+    if (!this.isSettled()) return;
+
+    const callbacks = this.settledCallbacks;
+    this.settledCallbacks = [];
+    for (const cb of callbacks) cb();
+  }
+
+  // resolves once no messages are waiting on asynchronous hooks
+  settled() {
+    if (this.isSettled()) return Promise.resolve();
+    return new Promise(resolve => this.settledCallbacks.push(resolve));
+  }
+
+  // runs the hooks for a message without sending it on, returning the resulting
+  // data (or `false` if silenced), or a promise of it
   handle(data, fromServer, fake = false) {
-    const code = data.readUInt16LE(2);
+    return this.handleEntry(this.createEntry(data, fromServer, fake), fromServer);
+  }
+
+  createEntry(data, fromServer, fake) {
+    return {
+      data,
+      fake,
+      // the capture keeps the order messages arrived in
+      record: this.recorder ? this.recorder.reserve(data, fromServer, fake) : null,
+      done: false,
+      result: null,
+      resolve: null,
+    };
+  }
+
+  // returns the result of the hooks for a queue entry, or a promise of it
+  handleEntry(entry, fromServer) {
+    const result = this.runHooks(entry.data, fromServer, entry.fake);
+    if (!entry.record) return result;
+
+    if (isPromise(result)) {
+      return result.then((data) => {
+        entry.record(data);
+        return data;
+      });
+    }
+
+    entry.record(result);
+    return result;
+  }
+
+  // whether `hook` belongs to a module suspended by the circuit breaker
+  isSuspended(hook) {
+    return hook.moduleName != null && this.breaker.isSuspended(hook.moduleName);
+  }
+
+  hookError(hook, error) {
+    if (hook.moduleName != null && this.modules.has(hook.moduleName)) {
+      this.breaker.record(hook.moduleName, error);
+    }
+  }
+
+  getErrorState(name) {
+    return (name != null) ? this.breaker.getState(name) : this.breaker.getStates();
+  }
+
+  resumeModule(name) {
+    return this.breaker.resume(name);
+  }
+
+  getHooks(code, fake) {
+    const hooks = [];
     for (const target of ['*', code]) {
       if (!this.hooks.has(target)) continue;
 
@@ -327,67 +1076,240 @@ class Dispatch {
             if (fake && hook.type === 'real') continue;
           }
 
-          if (hook.definitionVersion === 'raw') {
-            const result = tryIt(() => hook.callback(code, data, fromServer, fake));
-
-            if (result instanceof Error) {
-              logError([
-                `[dispatch] handle: error running raw hook for ${getMessageName(code, hook.definitionVersion)}`,
-                `hook: ${getHookName(hook)}`,
-                `data: ${data.toString('hex')}`,
-                `error: ${result.message}`,
-                errStack(result),
-              ]);
-              continue;
-            } else if (Buffer.isBuffer(result)) {
-              data = result;
-            } else if (result === false) {
-              return false;
-            }
-          } else { // normal hook
-            const event = tryIt(() => protocol.parse(code, hook.definitionVersion, data));
-
-            if (event instanceof Error) {
-              logError([
-                `[dispatch] handle: failed to parse ${getMessageName(code, hook.definitionVersion)}`,
-                `hook: ${getHookName(hook)}`,
-                `data: ${data.toString('hex')}`,
-                `error: ${event.message}`,
-                errStack(event, false),
-              ]);
-              return data;
-            }
-
-            const result = tryIt(() => hook.callback(event, fake));
-            if (result instanceof Error) {
-              logError([
-                `[dispatch] handle: error running hook for ${getMessageName(code, hook.definitionVersion)}`,
-                `hook: ${getHookName(hook)}`,
-                `data: ${util.inspect(event)}`,
-                `error: ${result.message}`,
-                errStack(result),
-              ]);
-            } else if (result === true) {
-              try {
-                data = protocol.write(code, hook.definitionVersion, event);
-              } catch (e) {
-                logError([
-                  `[dispatch] handle: failed to generate ${getMessageName(code, hook.definitionVersion)}`,
-                  `hook: ${getHookName(hook)}`,
-                  `error: ${e.message}`,
-                  errStack(e, false),
-                ]);
-              }
-            } else if (result === false) {
-              return false;
-            }
-          }
+          hooks.push(hook);
         }
       }
     }
+    return hooks;
+  }
+
+  // returns the resulting data (or `false` if silenced) synchronously, unless a
+  // hook returned a promise, in which case a promise of that is returned instead
+  runHooks(data, fromServer, fake) {
+    const code = data.readUInt16LE(2);
+    return this.resume({
+      code,
+      data,
+      fromServer,
+      fake,
+      event: null,
+      hooks: this.getHooks(code, fake),
+      index: 0,
+      done: false,
+      // parsed events by definition version, all matching `data` along with
+      // the changes of hooks which returned `true`
+      events: new Map(),
+      // the hook whose modified event has not been written to `data` yet
+      dirty: null,
+      // whether the current hook was given the cached event rather than a copy
+      shared: false,
+      // passed to hooks as metadata
+      flags: { fake, silenced: false, modified: false },
+    });
+  }
+
+  resume(state) {
+    while (!state.done && state.index < state.hooks.length) {
+      const hook = state.hooks[state.index++];
+
+      // once silenced, only hooks which asked to see silenced messages are run
+      if (state.flags.silenced && !hook.silenced) continue;
+      if (this.isSuspended(hook)) continue;
+
+      const result = this.callHook(hook, state);
+
+      if (isPromise(result)) {
+        return this.awaitHook(hook, result).then((result) => {
+          this.applyResult(hook, state, result);
+          return this.resume(state);
+        });
+      }
+
+      this.applyResult(hook, state, result);
+    }
+
+    if (state.flags.silenced) return false;
+
+    this.reconcile(state);
+    return state.data;
+  }
+
+  // writes any pending modifications to `state.data`, so that it can be used
+  // directly or parsed with a different definition version
+  reconcile(state) {
+    const hook = state.dirty;
+    if (!hook) return;
+
+    state.dirty = null;
+
+    const { code } = state;
+    const version = hook.definitionVersion;
+    const start = this.profiler && process.hrtime();
+    try {
+      state.data = this.protocol.write(code, version, state.events.get(version));
+      if (this.profiler) this.addProfile(hook, state, 'write', start);
+    } catch (e) {
+      const fields = hookFields(this.protocol, hook, code);
+      this.log.error(`handle: failed to generate ${fields.name}`, Object.assign(fields, {
+        error: e,
+        stack: errStack(e, false),
+      }));
+
+      // `data` is unchanged, so the modified event no longer matches it
+      state.events.delete(version);
+      return;
+    }
+
+    // events of other versions were parsed from the old data
+    for (const key of Array.from(state.events.keys())) {
+      if (key !== version) state.events.delete(key);
+    }
+  }
+
+  // parses `state.data` for `hook`, reusing the event parsed for an earlier
+  // hook of the same definition version if there is one
+  getEvent(hook, state) {
+    const version = hook.definitionVersion;
+    if (state.dirty && state.dirty.definitionVersion !== version) {
+      this.reconcile(state);
+    }
+
+    let event = state.events.get(version);
+    if (event) return event;
+
+    const { code, data } = state;
+    const start = this.profiler && process.hrtime();
+    event = tryIt(() => this.protocol.parse(code, version, data));
+    if (this.profiler) this.addProfile(hook, state, 'parse', start);
+
+    if (!(event instanceof Error)) state.events.set(version, event);
+    return event;
+  }
+
+  callHook(hook, state) {
+    const { code, fromServer, fake } = state;
+    const flags = Object.assign({}, state.flags);
+
+    const { profiler } = this;
+    let start;
+
+    if (hook.definitionVersion === 'raw') {
+      this.reconcile(state);
+
+      // raw hooks may change the data in place, so no cached event can be trusted
+      const { data } = state;
+      state.events.clear();
+
+      if (profiler) start = process.hrtime();
+      const result = tryIt(() => hook.callback(code, data, fromServer, fake, flags));
+      if (profiler) this.addProfile(hook, state, 'hook', start);
+      return result;
+    }
+
+    // normal hook
+    const event = this.getEvent(hook, state);
+
+    if (event instanceof Error) {
+      const fields = hookFields(this.protocol, hook, code);
+      this.log.error(`handle: failed to parse ${fields.name}`, Object.assign(fields, {
+        data: state.data.toString('hex'),
+        error: event,
+        stack: errStack(event, false),
+      }));
+      state.done = true;
+      return;
+    }
+
+    // changes are only kept (and seen by later hooks) once a hook returns
+    // `true`, so the hook gets its own copy unless nothing else needs the event
+    const version = hook.definitionVersion;
+    state.shared = !(state.dirty && state.dirty.definitionVersion === version) && !this.needsEvent(state, version);
+    state.event = state.shared ? event : cloneEvent(event);
+    if (profiler) start = process.hrtime();
+    const result = tryIt(() => hook.callback(state.event, fake, flags));
+    if (profiler) this.addProfile(hook, state, 'hook', start);
+    return result;
+  }
+
+  // whether a hook after the current one may use the event of `version`
+  needsEvent(state, version) {
+    for (let i = state.index; i < state.hooks.length; i++) {
+      if (state.hooks[i].definitionVersion === version) return true;
+    }
+    return false;
+  }
+
+  // settles with the hook's result, or an `Error` if it rejected or timed out
+  awaitHook(hook, promise) {
+    return new Promise((resolve) => {
+      let done = false;
+      const settle = (result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        resolve(result);
+      };
+
+      const timer = (hook.timeout > 0)
+        ? setTimeout(() => settle(new Error(`hook timed out after ${hook.timeout}ms`)), hook.timeout)
+        : null;
+
+      promise.then(settle, (err) => {
+        settle((err instanceof Error) ? err : new Error(String(err)));
+      });
+    });
+  }
+
+  applyResult(hook, state, result) {
+    const { code, flags } = state;
+
+    if (hook.definitionVersion === 'raw') {
+      if (result instanceof Error) {
+        const fields = hookFields(this.protocol, hook, code);
+        this.log.error(`handle: error running raw hook for ${fields.name}`, Object.assign(fields, {
+          data: state.data.toString('hex'),
+          error: result,
+          stack: errStack(result),
+        }));
+        this.hookError(hook, result);
+      } else if (flags.silenced) {
+        // too late to change anything
+      } else if (Buffer.isBuffer(result)) {
+        state.data = result;
+        flags.modified = true;
+      } else if (result === false) {
+        flags.silenced = true;
+      }
+      return;
+    }
+
+    // normal hook
+    if (state.done) return; // failed to parse
 
-    // return value
-    return data;
+    const kept = (result === true && !flags.silenced);
+    if (!kept && state.shared) {
+      // the cached event may have changes which are not kept
+      state.events.delete(hook.definitionVersion);
+    }
+
+    if (result instanceof Error) {
+      const fields = hookFields(this.protocol, hook, code);
+      this.log.error(`handle: error running hook for ${fields.name}`, Object.assign(fields, {
+        data: util.inspect(state.event),
+        error: result,
+        stack: errStack(result),
+      }));
+      this.hookError(hook, result);
+    } else if (flags.silenced) {
+      // too late to change anything
+    } else if (result === true) {
+      // written once another version or the final data is needed
+      state.events.set(hook.definitionVersion, state.event);
+      state.dirty = hook;
+      flags.modified = true;
+    } else if (result === false) {
+      flags.silenced = true;
+    }
   }
 }
 
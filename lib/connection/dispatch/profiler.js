@@ -0,0 +1,79 @@
+// time in milliseconds since `start`, as returned by `process.hrtime()`
+function since(start) {
+  const [s, ns] = process.hrtime(start);
+  return s * 1e3 + ns / 1e6;
+}
+
+function createTiming() {
+  return { count: 0, total: 0, max: 0 };
+}
+
+class Profiler {
+  constructor(opt = {}) {
+    // hooks taking longer than this many milliseconds are reported
+    this.budget = (opt.budget != null) ? opt.budget : 10;
+    this.started = Date.now();
+
+    // stats:
+    // { <moduleName>:
+    //   { <code>:
+    //     { parse: <timing>, hook: <timing>, write: <timing> }
+    //   }
+    // }
+    this.stats = new Map();
+  }
+
+  // records `time` spent on `type` ('parse', 'hook' or 'write') of message
+  // `code` for the module owning `hook`, and returns whether it was over budget
+  add(hook, code, type, time) {
+    const moduleName = hook.moduleName || '<unknown>';
+
+    let codes = this.stats.get(moduleName);
+    if (!codes) {
+      codes = new Map();
+      this.stats.set(moduleName, codes);
+    }
+
+    let timings = codes.get(code);
+    if (!timings) {
+      timings = { parse: createTiming(), hook: createTiming(), write: createTiming() };
+      codes.set(code, timings);
+    }
+
+    const timing = timings[type];
+    timing.count++;
+    timing.total += time;
+    if (time > timing.max) timing.max = time;
+
+    return type === 'hook' && this.budget > 0 && time > this.budget;
+  }
+
+  // `getName` is used to look up message names for opcodes
+  snapshot(getName = () => undefined) {
+    const modules = {};
+    for (const [moduleName, codes] of this.stats) {
+      const messages = {};
+      let total = 0;
+
+      for (const [code, timings] of codes) {
+        const copy = { name: getName(code) };
+        for (const type of Object.keys(timings)) {
+          copy[type] = Object.assign({}, timings[type]);
+          total += timings[type].total;
+        }
+        messages[code] = copy;
+      }
+
+      modules[moduleName] = { total, messages };
+    }
+
+    return {
+      started: this.started,
+      duration: Date.now() - this.started,
+      budget: this.budget,
+      modules,
+    };
+  }
+}
+
+module.exports = { Profiler, since };
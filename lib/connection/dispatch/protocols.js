@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { protocol } = require('tera-data-parser');
+
+protocol.load(require.resolve('tera-data'));
+
+// the client's first message is always C_CHECK_VERSION, which has this opcode
+// on every patch
+const CHECK_VERSION_CODE = 19900;
+
+// opcode maps for each patch are kept in tera-data as `map/protocol.<version>.map`
+const MAP_DIR = path.join(path.dirname(require.resolve('tera-data/package.json')), 'map');
+
+// protocol version -> protocol, or `null` if there is no map for it
+const cache = new Map();
+
+// parses an opcode map, where each line is a message name and its opcode,
+// optionally separated by `=`, and `#` starts a comment
+function readMap(file) {
+  const map = { name: new Map(), code: new Map() };
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+
+  lines.forEach((line, i) => {
+    line = line.replace(/#.*$/, '').trim();
+    if (line === '') return;
+
+    const match = line.match(/^(\w+)\s*=?\s*(\d+)$/);
+    if (!match) throw new Error(`${file}:${i + 1}: cannot parse "${line}"`);
+
+    const name = match[1];
+    const code = parseInt(match[2], 10);
+    map.name.set(name, code);
+    map.code.set(code, name);
+  });
+
+  return map;
+}
+
+// reads the protocol version from a raw C_CHECK_VERSION message, which holds
+// an array of { int32 index, int32 value } whose item at index 0 is the
+// protocol version. returns `null` if `data` is anything else
+function readVersion(data) {
+  if (data.length < 8 || data.readUInt16LE(2) !== CHECK_VERSION_CODE) return null;
+
+  let count = data.readUInt16LE(4);
+  let offset = data.readUInt16LE(6);
+  while (count-- > 0 && offset >= 8 && offset + 12 <= data.length) {
+    // each item starts with offsets to itself and the next item
+    const next = data.readUInt16LE(offset + 2);
+    if (data.readInt32LE(offset + 4) === 0) return data.readInt32LE(offset + 8);
+    offset = next;
+  }
+
+  return null;
+}
+
+// returns the protocol for patch `version`, sharing its definitions with the
+// default one, or `null` if there is no opcode map for it
+function getProtocol(version) {
+  if (cache.has(version)) return cache.get(version);
+
+  const file = path.join(MAP_DIR, `protocol.${version}.map`);
+  let versionProtocol = null;
+  if (fs.existsSync(file)) {
+    versionProtocol = new protocol.constructor();
+    versionProtocol.messages = protocol.messages;
+    versionProtocol.map = readMap(file);
+    versionProtocol.loaded = true;
+  }
+
+  cache.set(version, versionProtocol);
+  return versionProtocol;
+}
+
+// returns a protocol with the same opcodes and definitions as `base`, which
+// can be changed without affecting it. the definitions of each message must be
+// copied before changing them as well
+function copyProtocol(base) {
+  const copy = new protocol.constructor();
+  copy.messages = new Map(base.messages);
+  copy.map = { name: new Map(base.map.name), code: new Map(base.map.code) };
+  copy.loaded = true;
+  return copy;
+}
+
+module.exports = {
+  defaultProtocol: protocol,
+  copyProtocol,
+  getProtocol,
+  readMap,
+  readVersion,
+};
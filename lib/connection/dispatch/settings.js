@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const events = require('events');
+
+function mkdirp(dir) {
+  try {
+    fs.mkdirSync(dir);
+  } catch (e) {
+    if (e.code === 'EEXIST') return;
+    if (e.code !== 'ENOENT') throw e;
+    mkdirp(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+}
+
+function readStore(file) {
+  let store;
+  try {
+    store = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+  }
+
+  store = store || {};
+  store.global = store.global || {};
+  store.characters = store.characters || {};
+  return store;
+}
+
+// returns an error message if `value` does not match `type`, where `type` is
+// one of 'string', 'number', 'boolean', 'object', 'array' or a function which
+// returns whether a value is valid
+function checkType(type, value) {
+  if (typeof type === 'function') {
+    return type(value) ? null : 'rejected by validator';
+  }
+
+  const actual = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+  return (actual === type) ? null : `expected ${type}, got ${actual}`;
+}
+
+// settings for one module, stored as JSON in `<dir>/<module>.json` as:
+//
+//   { global: { <key>: <value> }
+//   , characters: { <character>: { <key>: <value> } }
+//   }
+//
+// several connections may share the same file, so saving only replaces this
+// object's own scope and leaves the rest of the file as it was
+class Settings extends events.EventEmitter {
+  constructor(dir, moduleName, opt = {}) {
+    super();
+    this.dir = dir;
+    this.moduleName = moduleName;
+    this.file = path.join(dir, `${encodeURIComponent(moduleName)}.json`);
+    this.defaults = opt.defaults || {};
+    this.schema = opt.schema || null;
+    this.character = opt.character || null;
+    this.log = opt.log || null;
+
+    this.values = null;
+    this.dirty = false;
+    this.load();
+  }
+
+  validate(key, value) {
+    if (!this.schema) return null;
+    if (!(key in this.schema)) return `unknown setting "${key}"`;
+    const problem = checkType(this.schema[key], value);
+    return problem && `invalid value for "${key}": ${problem}`;
+  }
+
+  load() {
+    const store = readStore(this.file);
+    const stored = (this.character ? store.characters[this.character] : store.global) || {};
+
+    this.values = Object.assign({}, this.defaults);
+    for (const key of Object.keys(stored)) {
+      const problem = this.validate(key, stored[key]);
+      if (problem) {
+        if (this.log) this.log.warn(`settings: ignoring stored ${problem}`, { module: this.moduleName });
+        continue;
+      }
+      this.values[key] = stored[key];
+    }
+
+    this.dirty = false;
+    this.emit('load');
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  getAll() {
+    return Object.assign({}, this.values);
+  }
+
+  set(key, value) {
+    const problem = this.validate(key, value);
+    if (problem) throw new TypeError(problem);
+
+    const old = this.values[key];
+    if (old === value) return;
+
+    this.values[key] = value;
+    this.dirty = true;
+    this.emit('change', key, value, old);
+  }
+
+  // switches to the scope of another character (or the global scope for
+  // `null`), saving the current one first
+  setCharacter(character) {
+    character = character || null;
+    if (character === this.character) return;
+
+    this.save();
+    this.character = character;
+    this.load();
+  }
+
+  save() {
+    if (!this.dirty) return;
+
+    mkdirp(this.dir);
+
+    const store = readStore(this.file);
+    if (this.character) {
+      store.characters[this.character] = this.values;
+    } else {
+      store.global = this.values;
+    }
+
+    // write to a temporary file first so that the store is never left half-written
+    const tmp = `${this.file}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+    fs.renameSync(tmp, this.file);
+    this.dirty = false;
+  }
+}
+
+module.exports = Settings;
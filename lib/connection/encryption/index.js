@@ -1,7 +1,7 @@
 // original C# source:
 // https://github.com/P5yl0/TeraEmulator_2117a/tree/master/Tera_Emulator_Source_2117/GameServer/Crypt
 
-const Sha1 = require('./sha1');
+const sha0 = require('./sha0');
 
 /**************
  * CryptorKey *
@@ -15,9 +15,23 @@ function CryptorKey(size, pos2) {
   this.buffer = new Uint32Array(this.size);
 }
 
+CryptorKey.prototype.step = function step() {
+  const t1 = this.buffer[this.pos1];
+  const t2 = this.buffer[this.pos2];
+  const t3 = (t1 <= t2 ? t1 : t2);
+  this.sum = (t1 + t2) >>> 0;
+  this.key = +(t3 > this.sum);
+  if (++this.pos1 === this.size) this.pos1 = 0;
+  if (++this.pos2 === this.size) this.pos2 = 0;
+};
+
 /***********
  * Cryptor *
  ***********/
+// whole words can only be XORed through a Uint32Array if it reads them the
+// same way the byte-by-byte fallback does
+const LITTLE_ENDIAN = (new Uint8Array(new Uint32Array([1]).buffer)[0] === 1);
+
 class Cryptor {
   constructor() {
     this.changeData = 0;
@@ -41,12 +55,7 @@ class Cryptor {
   generate(key) {
     const buffer = Cryptor.fill(key);
     for (let i = 0; i < 680; i += 20) {
-      const sha = new Sha1();
-      sha.update(buffer);
-      const hash = sha.hash();
-      for (let j = 0; j < 20; j += 4) {
-        hash.copy(buffer, i + j, j, j + 4);
-      }
+      sha0(buffer).copy(buffer, i);
     }
     for (let i = 0; i < 55; i++) {
       this.keys[0].buffer[i] = buffer.readUInt32LE(i * 4);
@@ -59,10 +68,23 @@ class Cryptor {
     }
   }
 
-  apply(buf) {
+  // advances the keystream and returns its next word
+  next() {
     const { keys } = this;
+    const k0 = keys[0];
+    const k1 = keys[1];
+    const k2 = keys[2];
+    const result = k0.key & k1.key | k2.key & (k0.key | k1.key);
+    if (result === k0.key) k0.step();
+    if (result === k1.key) k1.step();
+    if (result === k2.key) k2.step();
+    return k0.sum ^ k1.sum ^ k2.sum;
+  }
+
+  apply(buf) {
     const size = buf.length;
 
+    // finish off the word left over from the last call
     const pre = (size < this.changeLen) ? size : this.changeLen;
     if (pre !== 0) {
       for (let i = 0; i < pre; i++) {
@@ -71,39 +93,27 @@ class Cryptor {
       this.changeLen -= pre;
     }
 
-    function doRound() {
-      const result = keys[0].key & keys[1].key | keys[2].key & (keys[0].key | keys[1].key);
-      for (const k of keys) {
-        if (result === k.key) {
-          const t1 = k.buffer[k.pos1];
-          const t2 = k.buffer[k.pos2];
-          const t3 = (t1 <= t2 ? t1 : t2);
-          k.sum = ((t1 + t2) & 0xFFFFFFFF) >>> 0;
-          k.key = +(t3 > k.sum);
-          k.pos1 = (k.pos1 + 1) % k.size;
-          k.pos2 = (k.pos2 + 1) % k.size;
-        }
+    const words = (size - pre) >>> 2;
+    if (LITTLE_ENDIAN && (buf.byteOffset + pre) % 4 === 0) {
+      const view = new Uint32Array(buf.buffer, buf.byteOffset + pre, words);
+      for (let i = 0; i < words; i++) {
+        view[i] ^= this.next();
       }
-    }
-
-    for (let i = pre; i < size - 3; i += 4) {
-      doRound();
-      for (const k of keys) {
-        buf[i] ^= k.sum;
-        buf[i + 1] ^= k.sum >>> 8;
-        buf[i + 2] ^= k.sum >>> 16;
-        buf[i + 3] ^= k.sum >>> 24;
+    } else {
+      const end = pre + words * 4;
+      for (let i = pre; i < end; i += 4) {
+        const data = this.next();
+        buf[i] ^= data;
+        buf[i + 1] ^= data >>> 8;
+        buf[i + 2] ^= data >>> 16;
+        buf[i + 3] ^= data >>> 24;
       }
     }
 
+    // start a new word for the remaining bytes, saving the rest for next time
     const remain = (size - pre) & 3;
     if (remain !== 0) {
-      doRound();
-
-      this.changeData = 0;
-      for (const k of keys) {
-        this.changeData ^= k.sum;
-      }
+      this.changeData = this.next();
 
       for (let i = 0; i < remain; i++) {
         buf[size - remain + i] ^= this.changeData >>> (i * 8);
@@ -0,0 +1,77 @@
+// this is not SHA-1 but its predecessor, SHA-0, which differs only in that
+// the message schedule is not rotated left by one bit. it also writes each
+// word of the digest little-endian rather than big-endian. node's `crypto`
+// cannot compute SHA-0 (it was withdrawn long before OpenSSL dropped it), so
+// it stays in javascript. for example, the digest of "abc" is:
+//
+//   SHA-0 (standard):       0164b8a9 14cd2a5e 74c4f7ff 082c4d97 f1edf880
+//   sha0 (as written here): a9b86401 5e2acd14 fff7c474 974d2c08 80f8edf1
+
+// original C# source:
+// https://github.com/P5yl0/TeraEmulator_2117a/blob/master/Tera_Emulator_Source_2117/GameServer/Crypt/Sha.cs
+
+const w = new Int32Array(80);
+
+function leftRotate(x, n) {
+  return (x << n) | (x >>> (32 - n));
+}
+
+function processBlock(digest, block, offset) {
+  for (let t = 0; t < 16; t++) {
+    w[t] = block.readInt32BE(offset + t * 4);
+  }
+
+  for (let t = 16; t < 80; t++) {
+    // SHA-1 would rotate this left by one bit
+    w[t] = w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16];
+  }
+
+  let [a, b, c, d, e] = digest;
+  for (let t = 0; t < 80; t++) {
+    let temp = leftRotate(a, 5) + e + w[t];
+    if (t < 20) {
+      temp += ((b & c) | ((~b) & d)) + 0x5A827999;
+    } else if (t < 40) {
+      temp += (b ^ c ^ d) + 0x6ED9EBA1;
+    } else if (t < 60) {
+      temp += ((b & c) | (b & d) | (c & d)) + 0x8F1BBCDC;
+    } else {
+      temp += (b ^ c ^ d) + 0xCA62C1D6;
+    }
+    e = d;
+    d = c;
+    c = leftRotate(b, 30);
+    b = a;
+    a = temp | 0;
+  }
+
+  digest[0] = (digest[0] + a) | 0;
+  digest[1] = (digest[1] + b) | 0;
+  digest[2] = (digest[2] + c) | 0;
+  digest[3] = (digest[3] + d) | 0;
+  digest[4] = (digest[4] + e) | 0;
+}
+
+function sha0(data) {
+  // pad with 0x80, then zeroes, then the length in bits as a big-endian uint64
+  const length = data.length;
+  const blocks = ((length + 8) >>> 6) + 1;
+  const message = Buffer.alloc(blocks * 64);
+  data.copy(message);
+  message[length] = 0x80;
+  message.writeUInt32BE(Math.floor(length / 0x20000000), message.length - 8);
+  message.writeUInt32BE((length * 8) >>> 0, message.length - 4);
+
+  const digest = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+  for (let offset = 0; offset < message.length; offset += 64) {
+    processBlock(digest, message, offset);
+  }
+
+  const out = Buffer.allocUnsafe(20);
+  for (let t = 0; t < 5; t++) {
+    out.writeInt32LE(digest[t], t * 4);
+  }
+  return out;
+}
+
+module.exports = sha0;
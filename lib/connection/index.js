@@ -1,17 +1,35 @@
 const net = require('net');
 
+const BufferStats = require('../bufferStats');
 const Dispatch = require('./dispatch');
 const Encryption = require('./encryption');
 const PacketBuffer = require('../packetBuffer');
+const { Log } = require('../logger');
+
+// reasons given to `close()`, and passed to the `close` event
+const CLOSE_REASONS = ['clientClosed', 'serverClosed', 'socketError', 'framingError', 'explicit'];
 
 class Connection {
-  constructor() {
+  constructor(opt = {}) {
     this.client = null;
-    this.dispatch = new Dispatch(this);
+    this.log = new Log(opt.logger, { source: 'connection' });
+    this.dispatch = new Dispatch(this, {
+      logger: opt.logger,
+      settingsDir: opt.settingsDir,
+      breaker: opt.breaker,
+      strict: opt.strict,
+    });
 
     this.state = -1;
+    this.ready = false;
     this.session = new Encryption();
-    this.buffer = new PacketBuffer();
+    this.maxMessageSize = opt.maxMessageSize;
+    this.buffer = new PacketBuffer({ maxSize: this.maxMessageSize });
+    this.buffer.on('error', (err) => {
+      this.log.error('framing error in data from server, disconnecting', { error: err });
+      this.close('framingError', err);
+    });
+    this.serverStats = new BufferStats();
   }
 
   connect(client, opt) {
@@ -22,7 +40,9 @@ class Connection {
 
     this.serverConnection.on('connect', () => {
       this.state = -1;
+      this.ready = false;
       this.client.onConnect(this.serverConnection);
+      this.emitEvent('connect');
     });
 
     this.serverConnection.on('data', (data) => {
@@ -49,7 +69,11 @@ class Connection {
             data.copy(this.session.serverKeys[1]);
             this.session.init();
             this.state = 2;
+
+            // the client can only decrypt messages once it has this key too, so
+            // hooks must not be able to send it anything before
             this.sendClient(data);
+            this.emitEvent('handshake');
           }
           break;
         }
@@ -58,11 +82,11 @@ class Connection {
           this.session.encrypt(data);
           this.buffer.write(data);
 
-          while (data = this.buffer.read()) {
+          // a hook may close the connection, so check the buffer is still there
+          while (this.buffer && (data = this.buffer.read())) {
             if (this.dispatch) {
-              data = this.dispatch.handle(data, true);
-            }
-            if (data && this.client) {
+              this.dispatch.forward(data, true);
+            } else {
               this.sendClient(data);
             }
           }
@@ -77,14 +101,37 @@ class Connection {
       }
     });
 
+    this.serverConnection.on('drain', () => {
+      this.serverStats.drain();
+      if (this.client && this.client.resume) this.client.resume();
+    });
+
+    // `close` follows, but the error is the better reason
+    this.serverConnection.on('error', (err) => {
+      this.close('socketError', err);
+    });
+
     this.serverConnection.on('close', () => {
       this.serverConnection = null;
-      this.close();
+      this.close('serverClosed');
     });
 
     return this.serverConnection;
   }
 
+  emitEvent(name, ...args) {
+    if (this.dispatch) this.dispatch.emitEvent(name, ...args);
+  }
+
+  // called after data from the client has been decrypted and passed on; the
+  // first time, both directions are known to be encrypted
+  onClientData() {
+    if (this.state !== 2 || this.ready) return;
+
+    this.ready = true;
+    this.emitEvent('ready');
+  }
+
   setClientKey(key) {
     if (key.length !== 128) {
       throw new Error('key length != 128');
@@ -107,13 +154,40 @@ class Connection {
   sendServer(data) {
     if (this.serverConnection) {
       if (this.state === 2) this.session.decrypt(data);
-      this.serverConnection.write(data);
+
+      // stop reading from the client until the server catches up
+      const flushed = this.serverConnection.write(data);
+      this.serverStats.update(this.serverConnection, flushed);
+      if (!flushed && this.client && this.client.pause) this.client.pause();
     }
   }
 
-  close() {
+  pauseServer() {
+    if (this.serverConnection) this.serverConnection.pause();
+  }
+
+  resumeServer() {
+    if (this.serverConnection) this.serverConnection.resume();
+  }
+
+  getBufferStats() {
+    const { client } = this;
+    return {
+      toServer: this.serverStats.toJSON(),
+      toClient: (client && client.stats) ? client.stats.toJSON() : null,
+    };
+  }
+
+  close(reason = 'explicit', error = null) {
+    if (this.state === 3) return;
     this.state = 3;
 
+    if (CLOSE_REASONS.indexOf(reason) === -1) reason = 'explicit';
+    this.log.debug(`connection closed (${reason})`, { error });
+
+    // let modules say goodbye while the sockets are still there
+    this.emitEvent('close', reason, error);
+
     if (this.serverConnection) {
       this.serverConnection.end();
       this.serverConnection.unref();
@@ -1,5 +1,13 @@
 const Connection = require('./connection');
+const capture = require('./capture');
 const FakeClient = require('./clients/FakeClient');
 const RealClient = require('./clients/RealClient');
+const logger = require('./logger');
+const mock = require('./mock');
+const Server = require('./server');
 
-module.exports = { Connection, FakeClient, RealClient };
+function createServer(opt, cb) {
+  return new Server(opt, cb);
+}
+
+module.exports = { capture, Connection, FakeClient, RealClient, Server, createServer, logger, mock };
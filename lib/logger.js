@@ -0,0 +1,78 @@
+// a logger is any object with a `log(entry)` method, where `entry` contains:
+//
+//   time:    when the entry was created, in milliseconds since the epoch
+//   level:   one of LEVELS
+//   source:  what created the entry ('server', 'dispatch' or a module name)
+//   message: a short description of what happened
+//
+// and any of the following, when relevant:
+//
+//   module:  the name of the module involved
+//   opcode:  the opcode of the message involved
+//   name:    the name (and version) of the message involved
+//   hook:    the name of the hook involved
+//   data:    the message data involved, as a string
+//   error:   the `Error` involved
+//   stack:   the relevant part of the stack trace, as a string
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// the default logger, writing human-readable entries to the console
+class ConsoleLogger {
+  constructor(opt = {}) {
+    this.level = opt.level || 'info';
+  }
+
+  log(entry) {
+    if (LEVELS.indexOf(entry.level) < LEVELS.indexOf(this.level)) return;
+
+    const lines = [`[${entry.source}] ${entry.message}`];
+    if (entry.hook) lines.push(`hook: ${entry.hook}`);
+    if (entry.data !== undefined) lines.push(`data: ${entry.data}`);
+    if (entry.error) lines.push(`error: ${entry.error.message}`);
+    if (entry.stack) lines.push(entry.stack);
+
+    const output = (entry.level === 'warn' || entry.level === 'error') ? console.error : console.log;
+    output(lines.join('\n'));
+  }
+}
+
+// creates entries with a fixed set of fields and passes them to a logger
+class Log {
+  constructor(logger, fields = {}) {
+    this.logger = logger || new ConsoleLogger();
+    this.fields = fields;
+  }
+
+  child(fields) {
+    return new Log(this.logger, Object.assign({}, this.fields, fields));
+  }
+
+  write(level, message, fields) {
+    const entry = Object.assign({ time: Date.now(), level }, this.fields, fields, { message });
+    try {
+      this.logger.log(entry);
+    } catch (e) {
+      // a broken logger should not take the connection down with it
+      console.error(`[logger] error writing log entry: ${e.message}`);
+    }
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+}
+
+module.exports = { LEVELS, ConsoleLogger, Log };
@@ -0,0 +1,12 @@
+const net = require('net');
+
+const MockPeer = require('./MockPeer');
+
+// a stand-in TERA game client for testing on localhost
+class MockClient extends MockPeer {
+  constructor(opt, keys) {
+    super(net.connect(opt), false, keys);
+  }
+}
+
+module.exports = MockClient;
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const events = require('events');
+
+const Encryption = require('../connection/encryption');
+const PacketBuffer = require('../packetBuffer');
+
+// plays either side of the TERA handshake and encrypted stream over a socket:
+//
+//   server -> client: hello (uint32 1)
+//   client -> server: client key 1
+//   server -> client: server key 1
+//   client -> server: client key 2
+//   server -> client: server key 2
+//
+// after which both sides initialize their sessions and exchange framed,
+// encrypted messages. the keystreams are symmetric, so the server encrypts
+// what it sends and decrypts what it receives, and the client does the reverse
+class MockPeer extends events.EventEmitter {
+  constructor(socket, isServer, keys, handlers = new Map()) {
+    super();
+    this.socket = socket;
+    this.isServer = isServer;
+    this.handlers = handlers;
+
+    if (!keys) {
+      keys = [crypto.randomBytes(128), crypto.randomBytes(128)];
+    }
+    this.keys = keys;
+
+    this.state = -1;
+    this.session = new Encryption();
+    this.pending = Buffer.alloc(0);
+    this.buffer = new PacketBuffer();
+    this.buffer.on('error', (err) => {
+      this.emit('error', err);
+      this.close();
+    });
+
+    socket.setNoDelay(true);
+
+    socket.on('data', (data) => {
+      if (this.state === 2) {
+        this.onEncryptedData(data);
+      } else {
+        this.pending = Buffer.concat([this.pending, data]);
+        this.handshake();
+      }
+    });
+
+    socket.on('error', (err) => {
+      this.emit('error', err);
+    });
+
+    socket.on('close', () => {
+      this.socket = null;
+      this.emit('close');
+    });
+  }
+
+  static packet(code, payload = Buffer.alloc(0)) {
+    const data = Buffer.allocUnsafe(4 + payload.length);
+    data.writeUInt16LE(data.length, 0);
+    data.writeUInt16LE(code, 2);
+    payload.copy(data, 4);
+    return data;
+  }
+
+  start() {
+    if (this.isServer) {
+      const hello = Buffer.alloc(4);
+      hello.writeUInt32LE(1, 0);
+      this.socket.write(hello);
+      this.state = 0;
+    }
+  }
+
+  take(size) {
+    if (this.pending.length < size) return null;
+    const data = this.pending.slice(0, size);
+    this.pending = this.pending.slice(size);
+    return data;
+  }
+
+  handshake() {
+    let data;
+
+    if (this.state === -1) {
+      // client waiting for hello
+      if (!(data = this.take(4))) return;
+      if (data.readUInt32LE(0) !== 1) {
+        this.emit('error', new Error('unexpected hello from server'));
+        this.close();
+        return;
+      }
+      this.state = 0;
+      this.writeKey();
+    }
+
+    while (this.state !== 2 && (data = this.take(128))) {
+      const { state } = this;
+      data.copy(this.isServer ? this.session.clientKeys[state] : this.session.serverKeys[state]);
+      if (this.isServer) this.writeKey();
+
+      this.state = state + 1;
+      if (this.state === 2) {
+        this.session.init();
+        this.emit('ready');
+      } else if (!this.isServer) {
+        this.writeKey();
+      }
+    }
+
+    if (this.state === 2 && this.pending.length > 0) {
+      const rest = this.pending;
+      this.pending = Buffer.alloc(0);
+      this.onEncryptedData(rest);
+    }
+  }
+
+  writeKey() {
+    const { state } = this;
+    const key = this.keys[state];
+    key.copy(this.isServer ? this.session.serverKeys[state] : this.session.clientKeys[state]);
+    this.socket.write(key);
+  }
+
+  onEncryptedData(data) {
+    if (this.isServer) {
+      this.session.decrypt(data);
+    } else {
+      this.session.encrypt(data);
+    }
+    this.buffer.write(data);
+
+    while ((data = this.buffer.read())) {
+      const code = data.readUInt16LE(2);
+      this.emit('packet', code, data);
+
+      const handler = this.handlers.get(code) || this.handlers.get('*');
+      if (handler) {
+        const result = handler(data, this);
+        for (const response of [].concat(result || [])) {
+          this.send(response);
+        }
+      }
+    }
+  }
+
+  reply(code, handler) {
+    this.handlers.set(code, handler);
+    return this;
+  }
+
+  send(data) {
+    if (!this.socket || this.state !== 2) return false;
+
+    data = Buffer.from(data);
+    if (this.isServer) {
+      this.session.encrypt(data);
+    } else {
+      this.session.decrypt(data);
+    }
+    this.socket.write(data);
+    return true;
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = MockPeer;
@@ -0,0 +1,59 @@
+const net = require('net');
+const events = require('events');
+
+const MockPeer = require('./MockPeer');
+
+// a stand-in TERA game server for testing on localhost
+class MockServer extends events.EventEmitter {
+  constructor(keys) {
+    super();
+    this.keys = keys;
+    this.handlers = new Map();
+    this.peers = new Set();
+
+    this.server = net.createServer((socket) => {
+      const peer = new MockPeer(socket, true, this.keys, this.handlers);
+      this.peers.add(peer);
+
+      peer.on('close', () => {
+        this.peers.delete(peer);
+      });
+
+      // a peer's socket error (such as ECONNRESET) would otherwise be thrown
+      peer.on('error', (err) => {
+        this.emit('error', err, peer);
+      });
+
+      this.emit('connection', peer);
+      peer.start();
+    });
+
+    for (const type of ['listening', 'close', 'error']) {
+      this.server.on(type, (...args) => this.emit(type, ...args));
+    }
+  }
+
+  reply(code, handler) {
+    this.handlers.set(code, handler);
+    return this;
+  }
+
+  listen(...args) {
+    this.server.listen(...args);
+    return this;
+  }
+
+  close(cb) {
+    this.server.close(cb);
+    for (const peer of this.peers) {
+      peer.close();
+    }
+    return this;
+  }
+
+  address() {
+    return this.server.address();
+  }
+}
+
+module.exports = MockServer;
@@ -0,0 +1,5 @@
+const MockClient = require('./MockClient');
+const MockPeer = require('./MockPeer');
+const MockServer = require('./MockServer');
+
+module.exports = { MockClient, MockPeer, MockServer };
@@ -1,11 +1,51 @@
-class PacketBuffer {
-  constructor() {
+const events = require('events');
+
+// every message has at least a uint16 length and a uint16 opcode
+const MIN_SIZE = 4;
+const MAX_SIZE = 0xFFFF;
+
+class PacketBuffer extends events.EventEmitter {
+  constructor(opt = {}) {
+    super();
+    this.maxSize = opt.maxSize || MAX_SIZE;
+
     this.buffer = null;
     this.position = 0;
     this.out = [];
+    this.error = null;
+  }
+
+  // returns whether `size` is a sane message length
+  check(size) {
+    if (size >= MIN_SIZE && size <= this.maxSize) return true;
+    return this.fail(`invalid message length ${size} (must be between ${MIN_SIZE} and ${this.maxSize})`, { size });
+  }
+
+  // returns whether the complete `message` has a sane header; no message uses
+  // opcode 0, so it means the stream is garbled
+  checkHeader(message) {
+    const code = message.readUInt16LE(2);
+    if (code !== 0) return true;
+    return this.fail(`invalid opcode ${code}`, { opcode: code });
+  }
+
+  // emits an error and refuses any further data, since there is no way to
+  // resynchronize
+  fail(message, fields) {
+    const err = new Error(message);
+    err.code = 'EFRAMING';
+    Object.assign(err, fields);
+
+    this.error = err;
+    this.buffer = null;
+    this.position = 0;
+    this.emit('error', err);
+    return false;
   }
 
   write(data) {
+    if (this.error) return;
+
     // we'll chop off the front of `data` with each loop
     while (data.length > 0) {
       // if we have a buffer prepared, we should append to it first
@@ -14,6 +54,7 @@ class PacketBuffer {
         if (this.buffer.length < 2) {
           const old = this.buffer[0];        // save old byte
           const size = (data[0] << 8) + old; // convert from little-endian
+          if (!this.check(size)) return;
           this.buffer = Buffer.alloc(size);  // make new buffer
           this.buffer[0] = old;              // write old value
           this.position = 1;                 // update position
@@ -26,6 +67,7 @@ class PacketBuffer {
 
         // if we filled the buffer, push it
         if (this.position === this.buffer.length) {
+          if (!this.checkHeader(this.buffer)) return;
           this.out.push(this.buffer);
           this.buffer = null;
           this.position = 0;
@@ -47,6 +89,7 @@ class PacketBuffer {
       // otherwise, read the size value, and if it's bigger than the size of the
       // data we have, we should save it in the buffer
       const size = data.readUInt16LE(0);
+      if (!this.check(size)) return;
       if (size > data.length) {
         this.buffer = Buffer.alloc(size);
         data.copy(this.buffer);
@@ -55,7 +98,9 @@ class PacketBuffer {
       }
 
       // otherwise, just push it and chop off the front, then keep going
-      this.out.push(data.slice(0, size));
+      const message = data.slice(0, size);
+      if (!this.checkHeader(message)) return;
+      this.out.push(message);
       data = data.slice(size);
     }
   }
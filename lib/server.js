@@ -0,0 +1,86 @@
+const net = require('net');
+const events = require('events');
+
+const Connection = require('./connection');
+const { Log } = require('./logger');
+const RealClient = require('./clients/RealClient');
+
+class Server extends events.EventEmitter {
+  constructor(opt, cb) {
+    super();
+    this.opt = opt;
+    this.cb = cb;
+    this.logger = opt.logger;
+    this.log = new Log(this.logger, { source: 'server' });
+
+    // live set of connections which have not yet closed
+    this.connections = new Set();
+
+    this.server = net.createServer(socket => this.onConnection(socket));
+
+    for (const type of ['listening', 'close', 'error']) {
+      this.server.on(type, (...args) => this.emit(type, ...args));
+    }
+  }
+
+  onConnection(socket) {
+    socket.setNoDelay(true);
+
+    const connection = new Connection({
+      logger: this.logger,
+      settingsDir: this.opt.settingsDir,
+      breaker: this.opt.breaker,
+      strict: this.opt.strict,
+      maxMessageSize: this.opt.maxMessageSize,
+    });
+    const client = new RealClient(connection, socket);
+    this.connections.add(connection);
+
+    socket.on('error', (err) => {
+      this.log.warn('client socket error', { error: err });
+    });
+
+    socket.on('close', () => {
+      this.connections.delete(connection);
+    });
+
+    if (typeof this.cb === 'function') {
+      try {
+        this.cb(connection.dispatch);
+      } catch (e) {
+        this.log.error('error running connection callback', {
+          error: e,
+          stack: (e.stack || '').split('\n').slice(1).join('\n'),
+        });
+        connection.close();
+        return;
+      }
+    }
+
+    const serverConnection = connection.connect(client, this.opt);
+    serverConnection.on('error', (err) => {
+      this.log.warn('server socket error', { error: err });
+    });
+
+    this.emit('connection', connection);
+  }
+
+  listen(...args) {
+    this.server.listen(...args);
+    return this;
+  }
+
+  close(cb) {
+    this.server.close(cb);
+    for (const connection of this.connections) {
+      connection.close();
+    }
+    return this;
+  }
+
+  address() {
+    return this.server.address();
+  }
+}
+
+module.exports = Server;
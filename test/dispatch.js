@@ -0,0 +1,225 @@
+const assert = require('assert');
+const { S_TEST, C_TEST, createDispatch, delay, message, values } = require('./helpers/dispatch');
+
+describe('Dispatch', function() {
+  describe('asynchronous hooks', function() {
+    it('keeps messages in order in each direction', function() {
+      const { dispatch, sent } = createDispatch();
+      dispatch.hook('S_DISPATCH_TEST', 1, (event) => {
+        if (event.value === 1) return delay(20).then(() => false);
+      });
+
+      dispatch.forward(message(S_TEST, 1), true);
+      dispatch.forward(message(S_TEST, 2), true);
+      dispatch.forward(message(C_TEST, 3), false);
+      dispatch.forward(message(S_TEST, 4), true);
+
+      // the other direction is not held up
+      assert.deepStrictEqual(values(sent.toClient), []);
+      assert.deepStrictEqual(values(sent.toServer), [3]);
+
+      return dispatch.settled().then(() => {
+        assert.deepStrictEqual(values(sent.toClient), [2, 4]);
+      });
+    });
+
+    it('stops waiting on a hook after its timeout', function() {
+      const { dispatch, sent, logs } = createDispatch();
+      dispatch.hook('S_DISPATCH_TEST', 1, { timeout: 10 }, () => new Promise(() => {}));
+
+      return dispatch.forward(message(S_TEST, 1), true).then((data) => {
+        assert.deepStrictEqual(values([data]), [1]);
+        assert.deepStrictEqual(values(sent.toClient), [1]);
+        assert.ok(logs.some(entry => entry.error && /timed out after 10ms/.test(entry.error.message)));
+      });
+    });
+
+    it('handles messages synchronously when no hook returns a promise', function() {
+      const { dispatch, sent } = createDispatch();
+      dispatch.hook('S_DISPATCH_TEST', 1, (event) => {
+        event.value++;
+        return true;
+      });
+
+      const result = dispatch.forward(message(S_TEST, 1), true);
+      assert.ok(Buffer.isBuffer(result));
+      assert.deepStrictEqual(values(sent.toClient), [2]);
+    });
+
+    it('releases waiting messages when reset', function() {
+      const { dispatch, sent } = createDispatch();
+      dispatch.hook('S_DISPATCH_TEST', 1, { timeout: 0 }, () => new Promise(() => {}));
+
+      const results = [
+        dispatch.forward(message(S_TEST, 1), true),
+        dispatch.forward(message(S_TEST, 2), true),
+      ];
+      dispatch.reset();
+
+      return Promise.all(results.concat(dispatch.settled())).then((results) => {
+        assert.deepStrictEqual(results, [false, false, undefined]);
+        assert.deepStrictEqual(sent.toClient, []);
+      });
+    });
+
+    it('still handles raw messages without sending them', function() {
+      const { dispatch, sent } = createDispatch();
+      dispatch.hook('S_DISPATCH_TEST', 1, (event) => {
+        event.value = 5;
+        return true;
+      });
+
+      assert.deepStrictEqual(values([dispatch.handle(message(S_TEST, 1), true)]), [5]);
+      assert.deepStrictEqual(sent.toClient, []);
+    });
+  });
+
+  describe('modifying messages', function() {
+    it('drops changes of hooks which do not return true', function() {
+      const { dispatch, sent } = createDispatch();
+      const seen = [];
+      dispatch.hook('S_DISPATCH_TEST', 1, { order: 1 }, (event) => {
+        event.value = 2;
+        return true;
+      });
+      dispatch.hook('S_DISPATCH_TEST', 1, { order: 2 }, (event) => {
+        event.value = 99;
+      });
+      dispatch.hook('S_DISPATCH_TEST', 1, { order: 3 }, (event) => {
+        seen.push(event.value);
+        event.value = 100;
+      });
+
+      dispatch.forward(message(S_TEST, 1), true);
+      assert.deepStrictEqual(seen, [2]);
+      assert.deepStrictEqual(values(sent.toClient), [2]);
+    });
+
+    it('carries changes across definition versions', function() {
+      const { dispatch, sent } = createDispatch();
+      const seen = [];
+      dispatch.hook('S_DISPATCH_TEST', 1, { order: 1 }, (event) => {
+        event.value = 7;
+        return true;
+      });
+      dispatch.hook('S_DISPATCH_TEST', 2, { order: 2 }, (event) => {
+        seen.push(event.value);
+        event.extra = 8;
+        return true;
+      });
+      dispatch.hook('S_DISPATCH_TEST', 1, { order: 3 }, (event) => {
+        seen.push(event.other);
+      });
+
+      dispatch.forward(message(S_TEST, 1, 2), true);
+      assert.deepStrictEqual(seen, [7, 8]);
+      assert.deepStrictEqual(sent.toClient.map(data => data.readInt32LE(8)), [8]);
+      assert.deepStrictEqual(values(sent.toClient), [7]);
+    });
+
+    it('passes the modified data to raw hooks', function() {
+      const { dispatch, sent } = createDispatch();
+      const seen = [];
+      dispatch.hook('S_DISPATCH_TEST', 1, { order: 1 }, (event) => {
+        event.value = 3;
+        return true;
+      });
+      dispatch.hook('S_DISPATCH_TEST', 'raw', { order: 2 }, (code, data) => {
+        seen.push(data.readInt32LE(4));
+      });
+
+      dispatch.forward(message(S_TEST, 1), true);
+      assert.deepStrictEqual(seen, [3]);
+      assert.deepStrictEqual(values(sent.toClient), [3]);
+    });
+
+    it('keeps the original data when the modified event cannot be written', function() {
+      const { dispatch, sent, logs } = createDispatch();
+      dispatch.hook('S_DISPATCH_TEST', 1, (event) => {
+        event.value = Math.pow(2, 40);
+        return true;
+      });
+
+      dispatch.forward(message(S_TEST, 1), true);
+      assert.deepStrictEqual(values(sent.toClient), [1]);
+      assert.ok(logs.some(entry => /failed to generate/.test(entry.message)));
+    });
+  });
+
+  describe('commands', function() {
+    it('only hooks the chat messages which are defined', function() {
+      const { logs } = createDispatch();
+      assert.deepStrictEqual(logs.filter(entry => /C_CHAT|C_WHISPER/.test(entry.message)), []);
+    });
+
+    it('passes unknown commands on', function() {
+      const { dispatch } = createDispatch();
+      assert.strictEqual(dispatch.commands.handle('!unknown command'), undefined);
+      assert.strictEqual(dispatch.commands.handle('!proxy list'), false);
+    });
+
+    it('fills in every field of the reply', function() {
+      const { dispatch, sent, logs } = createDispatch();
+      if (dispatch.getLatestVersion('sChat') === null) {
+        dispatch.load('chat-message', function(mod) {
+          mod.addOpcode('S_CHAT', 65003);
+          mod.addDefinition('S_CHAT', 1, [
+            'offset authorName',
+            'offset message',
+            'int32  channel',
+            'uint64 authorId',
+            'byte   unk1',
+            'byte   gm',
+            'string authorName',
+            'string message',
+          ].join('\n'));
+        });
+      }
+
+      logs.length = 0;
+      dispatch.commands.reply('hello');
+      assert.strictEqual(sent.toClient.length, 1);
+      assert.deepStrictEqual(logs.filter(entry => entry.level === 'warn' || entry.level === 'error'), []);
+    });
+  });
+
+  describe('game state', function() {
+    // the hooks installed by the game state, which run after all others
+    function stateHooks(dispatch) {
+      const hooks = [];
+      for (const orderings of dispatch.hooks.values()) {
+        for (const ordering of orderings) {
+          if (ordering.order === 1000) hooks.push(...ordering.hooks);
+        }
+      }
+      return hooks;
+    }
+
+    it('only hooks messages once used', function() {
+      const { dispatch } = createDispatch();
+      if (dispatch.getLatestVersion('sDespawnNpc') === null) {
+        dispatch.load('despawn-message', function(mod) {
+          mod.addOpcode('S_DESPAWN_NPC', 65004);
+          mod.addDefinition('S_DESPAWN_NPC', 1, 'uint64 target\nint32 type');
+        });
+      }
+      assert.deepStrictEqual(stateHooks(dispatch), []);
+
+      dispatch.hookEvent('spawnNpc', () => {});
+      const hooks = stateHooks(dispatch);
+      assert.ok(hooks.some(hook => hook.name === 'S_DESPAWN_NPC'));
+      assert.strictEqual(dispatch.game.getCharacter(), null);
+      assert.deepStrictEqual(stateHooks(dispatch), hooks);
+    });
+
+    it('skips messages without a definition', function() {
+      const { dispatch, logs } = createDispatch();
+      assert.strictEqual(dispatch.game.getNpcs().length, 0);
+
+      for (const hook of stateHooks(dispatch)) {
+        assert.strictEqual(hook.definitionVersion, dispatch.getLatestVersion(hook.name));
+      }
+      assert.deepStrictEqual(logs.filter(entry => entry.level === 'warn' || entry.level === 'error'), []);
+    });
+  });
+});
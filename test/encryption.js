@@ -0,0 +1,103 @@
+const assert = require('assert');
+const Session = require('../lib/connection/encryption');
+const sha0 = require('../lib/connection/encryption/sha0');
+const OldSession = require('./fixtures/encryption');
+const Sha1 = require('./fixtures/encryption/sha1');
+const random = require('./helpers/random');
+
+// random bytes placed at any offset of their memory, so that they are not
+// always aligned to whole words
+function randomBuffer(rand, size) {
+  const offset = rand(8);
+  const data = Buffer.from(new ArrayBuffer(offset + size), offset, size);
+  for (let i = 0; i < size; i++) data[i] = rand(256);
+  return data;
+}
+
+// `sha0()` writes each word of the digest little-endian, so standard digests
+// are swapped a word at a time to compare them
+function digest(hex) {
+  return Buffer.from(hex, 'hex').swap32();
+}
+
+// a session with keys made up of arbitrary but fixed bytes
+function fixedSession(Type = Session, seed = 0) {
+  const session = new Type();
+  const keys = session.clientKeys.concat(session.serverKeys);
+  keys.forEach((key, k) => {
+    for (let i = 0; i < key.length; i++) key[i] = (i * 37 + k * 101 + 13 + seed) & 0xFF;
+  });
+  session.init();
+  return session;
+}
+
+describe('sha0', function() {
+  // from FIPS 180 and the NIST test suite, which cover SHA-0 as well
+  const vectors = [
+    ['', 'f96cea198ad1dd5617ac084a3d92c6107708c0ef'],
+    ['abc', '0164b8a914cd2a5e74c4f7ff082c4d97f1edf880'],
+    ['abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq', 'd2516ee1acfa5baf33dfc1c471e438449ef134c8'],
+    ['a'.repeat(1000000), '3232affa48628a26653b5aaa44541fd90d690603'],
+  ];
+
+  for (const [message, hex] of vectors) {
+    it(`hashes a ${message.length}-byte message`, function() {
+      assert.deepStrictEqual(sha0(Buffer.from(message)), digest(hex));
+    });
+  }
+
+  it('matches the previous implementation around block boundaries', function() {
+    const data = Buffer.alloc(200);
+    for (let i = 0; i < data.length; i++) data[i] = (i * 73 + 41) & 0xFF;
+
+    for (let length = 0; length <= data.length; length++) {
+      const sha = new Sha1();
+      sha.update(data.slice(0, length));
+      assert.deepStrictEqual(sha0(data.slice(0, length)), sha.hash(), `length ${length}`);
+    }
+  });
+});
+
+describe('Session', function() {
+  it('derives the same keystreams from fixed keys', function() {
+    const session = fixedSession();
+
+    // captured from the implementation using the previous SHA-0 code
+    const encrypted = Buffer.alloc(48);
+    session.encrypt(encrypted);
+    assert.strictEqual(encrypted.toString('hex'),
+      'd90169599566e857088a257eb8d4965c6988b37033b36b2e77271837e1773d02' +
+      '8559d1ef4ca8db74493a54fb3ff99172');
+
+    const decrypted = Buffer.alloc(48);
+    session.decrypt(decrypted);
+    assert.strictEqual(decrypted.toString('hex'),
+      '9ae7c6625e579834a2e14f8f8db655ebf5785c96a000114a1bfacfe3a030e80f' +
+      '26b85cb80c85ba64edc7abf9ea4bda54');
+  });
+
+  it('encrypts like the previous implementation however the data is split', function() {
+    for (let seed = 1; seed <= 50; seed++) {
+      const rand = random(seed);
+      const session = fixedSession(Session, seed);
+      const reference = fixedSession(OldSession, seed);
+
+      for (let n = 0; n < 40; n++) {
+        // mostly a few bytes at a time, so that words are left over
+        const size = rand(4) === 0 ? rand(300) : rand(12);
+
+        const encrypted = randomBuffer(rand, size);
+        const expected = Buffer.from(encrypted);
+        session.encrypt(encrypted);
+        reference.encrypt(expected);
+        assert.deepStrictEqual(encrypted, expected, `seed ${seed}, write ${n}`);
+
+        const decrypted = randomBuffer(rand, size);
+        const expectedDecrypted = Buffer.from(decrypted);
+        session.decrypt(decrypted);
+        reference.decrypt(expectedDecrypted);
+        assert.deepStrictEqual(decrypted, expectedDecrypted, `seed ${seed}, write ${n}`);
+      }
+    }
+  });
+});
@@ -1,3 +1,6 @@
+// the SHA-0 implementation replaced by lib/connection/encryption/sha0.js, kept
+// unchanged as a reference for its tests
+
 // for some reason, this sha1 implementation produces different output
 // we can probably simplify this and use the standard functions if we
 // can figure out what this version does differently
@@ -0,0 +1,57 @@
+const Dispatch = require('../../lib/connection/dispatch');
+
+// messages added by the tests themselves, so that they do not depend on what
+// the installed tera-data defines
+const S_TEST = 65001;
+const C_TEST = 65002;
+
+// both versions have the same layout, but name the second field differently
+const DEFINITIONS = {
+  1: 'int32 value\nint32 other',
+  2: 'int32 value\nint32 extra',
+};
+
+// returns a dispatch on a stand-in connection, with `sent` listing the data
+// it sends each way and `logs` the entries it logs
+function createDispatch(opt = {}) {
+  const sent = { toClient: [], toServer: [] };
+  const logs = [];
+
+  const dispatch = new Dispatch({
+    sendClient: data => sent.toClient.push(data),
+    sendServer: data => sent.toServer.push(data),
+  }, Object.assign({ logger: { log: entry => logs.push(entry) } }, opt));
+
+  dispatch.load('test-messages', function(mod) {
+    mod.addOpcode('S_DISPATCH_TEST', S_TEST);
+    mod.addOpcode('C_DISPATCH_TEST', C_TEST);
+    for (const version of Object.keys(DEFINITIONS)) {
+      mod.addDefinition('S_DISPATCH_TEST', Number(version), DEFINITIONS[version]);
+      mod.addDefinition('C_DISPATCH_TEST', Number(version), DEFINITIONS[version]);
+    }
+  });
+
+  return { dispatch, sent, logs };
+}
+
+// a raw message with opcode `code` holding the two int32 fields
+function message(code, value, extra = 0) {
+  const data = Buffer.alloc(12);
+  data.writeUInt16LE(data.length, 0);
+  data.writeUInt16LE(code, 2);
+  data.writeInt32LE(value, 4);
+  data.writeInt32LE(extra, 8);
+  return data;
+}
+
+// the first int32 of each message in `list`
+function values(list) {
+  return list.map(data => data.readInt32LE(4));
+}
+
+// resolves after `ms` milliseconds
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { S_TEST, C_TEST, createDispatch, delay, message, values };
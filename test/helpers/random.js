@@ -0,0 +1,11 @@
+// small seeded generator, so that a failing run can be repeated; returns a
+// function giving integers from 0 up to (but not including) `max`
+function random(seed) {
+  let state = seed;
+  return (max) => {
+    state = (Math.imul(state, 1103515245) + 12345) & 0x7FFFFFFF;
+    return (state >>> 8) % max;
+  };
+}
+
+module.exports = random;
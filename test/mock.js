@@ -0,0 +1,123 @@
+const assert = require('assert');
+const { createServer, mock } = require('../lib');
+
+const { MockClient, MockPeer, MockServer } = mock;
+
+const S_TEST = 1000;
+const C_TEST = 1001;
+
+describe('mock', function() {
+  let server;
+  let proxy;
+  let client;
+
+  // starts a mock game server, and a proxy to it which calls `cb` with the
+  // dispatch of every connection
+  function start(cb, done) {
+    server = new MockServer();
+    server.listen(0, '127.0.0.1', () => {
+      proxy = createServer({ host: '127.0.0.1', port: server.address().port }, cb);
+      proxy.listen(0, '127.0.0.1', () => done());
+    });
+  }
+
+  function connect() {
+    client = new MockClient({ host: '127.0.0.1', port: proxy.address().port });
+    return client;
+  }
+
+  afterEach(function(done) {
+    if (client) client.close();
+    client = null;
+    proxy.close(() => server.close(() => done()));
+  });
+
+  it('completes the handshake through the proxy and exchanges messages', function(done) {
+    start(() => {}, () => {
+      server.reply(C_TEST, data => MockPeer.packet(S_TEST, data.slice(4)));
+
+      connect().on('ready', () => {
+        client.send(MockPeer.packet(C_TEST, Buffer.from('ping')));
+      });
+
+      client.on('packet', (code, data) => {
+        assert.strictEqual(code, S_TEST);
+        assert.strictEqual(data.slice(4).toString(), 'ping');
+        done();
+      });
+    });
+  });
+
+  it('lets handshake hooks send messages the client can read', function(done) {
+    start((dispatch) => {
+      dispatch.hookEvent('handshake', () => {
+        dispatch.write(false, MockPeer.packet(S_TEST, Buffer.from('hello')));
+      });
+    }, () => {
+      connect().on('packet', (code, data) => {
+        assert.strictEqual(code, S_TEST);
+        assert.strictEqual(data.slice(4).toString(), 'hello');
+        done();
+      });
+    });
+  });
+
+  it('emits ready once the client has sent encrypted data', function(done) {
+    const events = [];
+    start((dispatch) => {
+      for (const name of ['connect', 'handshake', 'ready']) {
+        dispatch.hookEvent(name, () => events.push(name));
+      }
+      dispatch.hook('*', 'raw', () => {
+        events.push('message');
+      });
+    }, () => {
+      server.reply(C_TEST, () => MockPeer.packet(S_TEST));
+
+      connect().on('ready', () => {
+        assert.deepStrictEqual(events, ['connect', 'handshake']);
+        client.send(MockPeer.packet(C_TEST));
+      });
+
+      client.on('packet', () => {
+        assert.deepStrictEqual(events, ['connect', 'handshake', 'message', 'ready', 'message']);
+        done();
+      });
+    });
+  });
+
+  it('passes messages through raw hooks in both directions', function(done) {
+    const seen = [];
+    start((dispatch) => {
+      dispatch.hook('*', 'raw', (code, data, fromServer) => {
+        seen.push([code, fromServer]);
+      });
+    }, () => {
+      server.reply(C_TEST, () => MockPeer.packet(S_TEST));
+
+      connect().on('ready', () => {
+        client.send(MockPeer.packet(C_TEST));
+      });
+
+      client.on('packet', () => {
+        assert.deepStrictEqual(seen, [[C_TEST, false], [S_TEST, true]]);
+        done();
+      });
+    });
+  });
+
+  it('forwards peer errors to the server', function(done) {
+    start(() => {}, () => {
+      const error = new Error('ECONNRESET');
+      server.on('connection', (peer) => {
+        server.on('error', (err, from) => {
+          assert.strictEqual(err, error);
+          assert.strictEqual(from, peer);
+          done();
+        });
+        peer.socket.emit('error', error);
+      });
+      connect();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const PacketBuffer = require('../lib/packetBuffer');
+const random = require('./helpers/random');
+
+function message(rand, size) {
+  const data = Buffer.alloc(size);
+  for (let i = 4; i < size; i++) data[i] = rand(256);
+  data.writeUInt16LE(size, 0);
+  data.writeUInt16LE(1 + rand(0xFFFF), 2);
+  return data;
+}
+
+// writes `data` to `buffer` in chunks of random sizes, including empty ones
+function writeChunks(rand, buffer, data) {
+  let offset = 0;
+  while (offset < data.length) {
+    const size = rand(Math.min(data.length - offset, 300) + 1);
+    buffer.write(data.slice(offset, offset + size));
+    offset += size;
+  }
+}
+
+function readAll(buffer) {
+  const out = [];
+  let data;
+  while ((data = buffer.read())) out.push(data);
+  return out;
+}
+
+describe('PacketBuffer', function() {
+  it('reassembles messages split at random points', function() {
+    for (let seed = 1; seed <= 200; seed++) {
+      const rand = random(seed);
+      const messages = [];
+      for (let i = rand(20) + 1; i > 0; i--) {
+        messages.push(message(rand, 4 + (rand(4) === 0 ? rand(2000) : rand(16))));
+      }
+
+      const buffer = new PacketBuffer();
+      buffer.on('error', (err) => {
+        throw err;
+      });
+      writeChunks(rand, buffer, Buffer.concat(messages));
+
+      assert.deepStrictEqual(readAll(buffer), messages, `seed ${seed}`);
+    }
+  });
+
+  it('rejects lengths shorter than the header', function() {
+    const buffer = new PacketBuffer();
+    let error = null;
+    buffer.on('error', (err) => {
+      error = err;
+    });
+
+    buffer.write(Buffer.from([3]));
+    buffer.write(Buffer.from([0, 1, 0]));
+
+    assert.strictEqual(error.code, 'EFRAMING');
+    assert.strictEqual(error.size, 3);
+    assert.strictEqual(buffer.read(), undefined);
+  });
+
+  it('rejects lengths over the maximum size', function() {
+    const buffer = new PacketBuffer({ maxSize: 100 });
+    let error = null;
+    buffer.on('error', (err) => {
+      error = err;
+    });
+
+    buffer.write(message(random(1), 100));
+    assert.strictEqual(error, null);
+
+    buffer.write(Buffer.from([101, 0, 1, 0]));
+    assert.strictEqual(error.code, 'EFRAMING');
+    assert.strictEqual(error.size, 101);
+  });
+
+  it('rejects opcode 0', function() {
+    const buffer = new PacketBuffer();
+    let error = null;
+    buffer.on('error', (err) => {
+      error = err;
+    });
+
+    buffer.write(Buffer.from([6, 0, 0]));
+    buffer.write(Buffer.from([0, 1, 2]));
+
+    assert.strictEqual(error.code, 'EFRAMING');
+    assert.strictEqual(error.opcode, 0);
+    assert.strictEqual(buffer.read(), undefined);
+  });
+
+  it('never throws on garbage, and stops at the first framing error', function() {
+    for (let seed = 1; seed <= 200; seed++) {
+      const rand = random(seed);
+      const valid = [];
+      for (let i = rand(5); i > 0; i--) valid.push(message(rand, 4 + rand(64)));
+
+      const garbage = Buffer.alloc(rand(4000) + 1);
+      for (let i = 0; i < garbage.length; i++) garbage[i] = rand(256);
+
+      const buffer = new PacketBuffer({ maxSize: 0x1000 });
+      const errors = [];
+      buffer.on('error', err => errors.push(err));
+      writeChunks(rand, buffer, Buffer.concat(valid.concat(garbage)));
+
+      const out = readAll(buffer);
+      assert.ok(errors.length <= 1, `seed ${seed}`);
+      assert.deepStrictEqual(out.slice(0, valid.length), valid, `seed ${seed}`);
+      for (const data of out) {
+        assert.strictEqual(data.readUInt16LE(0), data.length, `seed ${seed}`);
+        assert.ok(data.length >= 4 && data.length <= 0x1000, `seed ${seed}`);
+        assert.notStrictEqual(data.readUInt16LE(2), 0, `seed ${seed}`);
+      }
+
+      // nothing more is accepted once the stream could not be followed
+      if (errors.length > 0) {
+        buffer.write(message(rand, 8));
+        assert.strictEqual(buffer.read(), undefined, `seed ${seed}`);
+      }
+    }
+  });
+});